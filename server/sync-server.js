@@ -0,0 +1,147 @@
+// ─── RITUAL SYNC SERVER ──────────────────────────────────────────────────────
+// Reference server for the app's optional sync (see src/sync.js). No
+// dependencies, one JSON file on disk — meant for self-hosting on a home
+// machine or for testing sync offline:
+//
+//   node server/sync-server.js                    # http://localhost:8787
+//   PORT=9000 SYNC_FILE=./ritual-sync.json SYNC_TOKEN=secret node server/sync-server.js
+//
+// Protocol — a single round trip that pushes and pulls:
+//
+//   POST /sync   { cursor, changes: [{ scope, key, value, updatedAt }] }
+//             →  { cursor, changes: [{ scope, key, value, updatedAt }] }
+//
+// `scope` is a log date ("2026-10-19") with `key` the "catId:orbId" entry
+// key, or "__config" with `key` "categories" / "orbitals" / "skips".
+// `value: null` is a deletion and is kept as a tombstone so it reaches
+// every device.
+//
+// Each stored entry gets an increasing sequence number. An incoming change
+// replaces the stored one only if its `updatedAt` is newer. The response
+// holds every entry with a sequence number above the client's `cursor`,
+// plus the stored winner of any change that was rejected, and the new
+// cursor to send next time. `cursor: null` means "send everything".
+//
+// With SYNC_TOKEN set, requests must carry `Authorization: Bearer <token>`.
+
+import { createServer } from "node:http";
+import { readFile, writeFile, rename } from "node:fs/promises";
+
+const PORT      = Number(process.env.PORT) || 8787;
+const FILE      = process.env.SYNC_FILE || "ritual-sync.json";
+const TOKEN     = process.env.SYNC_TOKEN || "";
+const MAX_BODY  = 5 * 1024 * 1024;
+
+// { seq, entries: { "<scope>|<key>": { scope, key, value, updatedAt, seq } } }
+let db = { seq: 0, entries: {} };
+
+async function loadDb() {
+  try {
+    db = JSON.parse(await readFile(FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a file.
+const saveDb = async (data) => {
+  await writeFile(`${FILE}.tmp`, JSON.stringify(data));
+  await rename(`${FILE}.tmp`, FILE);
+};
+
+// Requests are handled one at a time, so two never interleave their writes.
+// A failed one doesn't hold up the ones queued behind it.
+let queue = Promise.resolve();
+const serialize = (fn) => {
+  const run = queue.catch(() => {}).then(fn);
+  queue = run;
+  return run;
+};
+
+const isChange = (c) =>
+  c && typeof c.scope === "string" && typeof c.key === "string" &&
+  Number.isFinite(c.updatedAt) && c.value !== undefined;
+
+const outward = ({ scope, key, value, updatedAt }) => ({ scope, key, value, updatedAt });
+
+// Applies a request to a copy of `current`; the caller keeps the copy only
+// once it's on disk.
+function applySync(current, { cursor, changes }) {
+  const since    = Number.isFinite(cursor) ? cursor : 0;
+  const next     = { seq: current.seq, entries: { ...current.entries } };
+  const rejected = [];
+  let dirty = false;
+
+  changes.forEach(change => {
+    const id     = `${change.scope}|${change.key}`;
+    const stored = next.entries[id];
+    if (stored && stored.updatedAt >= change.updatedAt) {
+      rejected.push(stored);
+      return;
+    }
+    next.entries[id] = { ...outward(change), seq: ++next.seq };
+    dirty = true;
+  });
+
+  const out = Object.values(next.entries).filter(e => e.seq > since);
+  rejected.forEach(e => { if (e.seq <= since) out.push(e); });
+  return { next, dirty, response: { cursor: next.seq, changes: out.map(outward) } };
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type":                 "application/json",
+    "Access-Control-Allow-Origin":  "*",
+    "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on("data", chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) { reject(new Error("Body too large")); req.destroy(); return; }
+    chunks.push(chunk);
+  });
+  req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  req.on("error", reject);
+});
+
+const server = createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.method === "GET" && req.url === "/health") return send(res, 200, { ok: true, cursor: db.seq });
+  if (req.method !== "POST" || req.url !== "/sync") return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorized" });
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    return send(res, 400, { error: "Invalid JSON" });
+  }
+  if (!Array.isArray(body?.changes) || !body.changes.every(isChange)) {
+    return send(res, 400, { error: "Expected { cursor, changes: [{ scope, key, value, updatedAt }] }" });
+  }
+
+  let response;
+  try {
+    response = await serialize(async () => {
+      const result = applySync(db, body);
+      if (result.dirty) await saveDb(result.next);
+      db = result.next;
+      return result.response;
+    });
+  } catch (err) {
+    console.error("Failed to save", err);
+    return send(res, 500, { error: "Could not save" });
+  }
+  send(res, 200, response);
+});
+
+await loadDb();
+server.listen(PORT, () => {
+  console.log(`Ritual sync server on http://localhost:${PORT} (data: ${FILE}${TOKEN ? ", token required" : ""})`);
+});
@@ -1,23 +1,54 @@
-import { useState, useEffect, useRef } from "react";
-import { motion, AnimatePresence } from "framer-motion";
-import { Settings, X, RotateCcw, Check } from "lucide-react";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { motion, AnimatePresence, Reorder, useDragControls } from "framer-motion";
+import { Settings, X, RotateCcw, Check, Plus, Trash2, GripVertical, Undo2, Flame, Download, Upload, FileText, CalendarDays, RefreshCw, Users, PenLine, BookOpen } from "lucide-react";
 import {
-  BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid,
+  BarChart, Bar, Line, ComposedChart, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid,
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, AreaChart, Area,
 } from "recharts";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { openStorage, diffEntries, applyEntries, DEFAULT_PROFILE, loadProfiles, saveProfiles, deleteProfileData } from "./storage";
+import { useReminders, notificationsSupported } from "./reminders";
+import {
+  createSyncState, queueLogPatches, queueConfig, queueAllLogs, splitRemoteChanges, syncOnce, settleSync, pendingCount,
+  mergeSyncStates, withTabLock,
+} from "./sync";
 
 // ─── CATEGORY CONFIG ─────────────────────────────────────────────────────────
 const DEFAULT_CATEGORIES = [
-  { id: "finance",    label: "Business/Finance",    emoji: "💼", color: "#ff3b30", neon: "255,59,48",   orbitals: ["Track", "Invest", "Scale"] },
-  { id: "tinkering",  label: "Tinkering/Invention", emoji: "⚙️",  color: "#ff9500", neon: "255,149,0",   orbitals: ["Design", "Build", "Prototype"] },
-  { id: "health",     label: "Health/Vanity",       emoji: "⚡", color: "#ffd60a", neon: "255,214,10",  orbitals: ["Workout", "Grooming", "Reading"] },
-  { id: "homestead",  label: "Cooking/Homestead",   emoji: "🌿", color: "#30d158", neon: "48,209,88",   orbitals: ["Cook", "Preserve", "Garden"] },
-  { id: "art",        label: "Growth/Art",          emoji: "✦",  color: "#0a84ff", neon: "10,132,255",  orbitals: ["Paint", "Music", "Write"] },
-  { id: "family",     label: "Family/Wife",         emoji: "♾️", color: "#bf5af2", neon: "191,90,242",  orbitals: ["Communication", "Walk", "Pup"] },
-  { id: "fellowship", label: "Fellowship",          emoji: "◈",  color: "#98989d", neon: "152,152,157", orbitals: ["Maker Class", "Outdoors", "Fantasy"] },
-  { id: "mental",     label: "Mental Well-being",   emoji: "◉",  color: "#e8e8ed", neon: "232,232,237", orbitals: ["Meditation", "Reflection", "Stillness"] },
+  { id: "finance",    label: "Business/Finance",    emoji: "💼", color: "#ff3b30", orbitals: ["Track", "Invest", "Scale"] },
+  { id: "tinkering",  label: "Tinkering/Invention", emoji: "⚙️",  color: "#ff9500", orbitals: ["Design", "Build", "Prototype"] },
+  { id: "health",     label: "Health/Vanity",       emoji: "⚡", color: "#ffd60a", orbitals: ["Workout", "Grooming", "Reading"] },
+  { id: "homestead",  label: "Cooking/Homestead",   emoji: "🌿", color: "#30d158", orbitals: ["Cook", "Preserve", "Garden"] },
+  { id: "art",        label: "Growth/Art",          emoji: "✦",  color: "#0a84ff", orbitals: ["Paint", "Music", "Write"] },
+  { id: "family",     label: "Family/Wife",         emoji: "♾️", color: "#bf5af2", orbitals: ["Communication", "Walk", "Pup"] },
+  { id: "fellowship", label: "Fellowship",          emoji: "◈",  color: "#98989d", orbitals: ["Maker Class", "Outdoors", "Fantasy"] },
+  { id: "mental",     label: "Mental Well-being",   emoji: "◉",  color: "#e8e8ed", orbitals: ["Meditation", "Reflection", "Stillness"] },
 ];
 
-const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+// Colors offered to freshly added categories, cycled by list length.
+const NEW_CATEGORY_COLORS = ["#ff375f", "#64d2ff", "#ffd60a", "#30d158", "#bf5af2", "#ff9500", "#0a84ff", "#ff3b30"];
+
+// Indexed by Date#getDay(), so 0 is Sunday.
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// App-wide preferences, persisted as one object under `ritual_settings`.
+const DEFAULT_SETTINGS = {
+  restDaysPerWeek: 0,   // missed days per week that don't break a streak
+  dayStartHour:    0,   // logs before this local hour count toward the previous day
+  weekStart:       1,   // first day of the week, as Date#getDay() (1 = Monday)
+  neglectDays:     5,   // idle days before Insights flags a category
+  reminders: {          // local notifications, see reminders.js
+    enabled:     false,
+    summaryTime: "21:00",   // evening list of dark slices; "" disables it
+    quietStart:  "22:30",
+    quietEnd:    "07:00",
+  },
+  sync: {               // optional self-hosted sync, see sync.js
+    enabled: false,
+    url:     "",
+    token:   "",
+  },
+};
 
 // ─── HELPERS ─────────────────────────────────────────────────────────────────
 
@@ -31,6 +62,12 @@ const toDateStr = (d = new Date()) => {
   return `${y}-${m}-${dy}`;
 };
 
+// The ritual day `d` belongs to. With a 4 am day start, 1:30 am on the 20th
+// is still the 19th; the shift is done on local clock fields so DST days
+// don't drift by an hour.
+const ritualDateStr = (dayStartHour = 0, d = new Date()) =>
+  toDateStr(new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours() - dayStartHour, d.getMinutes()));
+
 const toCartesian = (cx, cy, r, deg) => {
   const rad = ((deg - 90) * Math.PI) / 180;
   return { x: cx + r * Math.cos(rad), y: cy + r * Math.sin(rad) };
@@ -52,18 +89,266 @@ const donutSlicePath = (cx, cy, r, ir, a1, a2) => {
   ].join(" ");
 };
 
-const getWeekDates = () => {
-  const now  = new Date();
-  const day  = now.getDay();
-  const diff = now.getDate() - day + (day === 0 ? -6 : 1);
-  const mon  = new Date(now.getFullYear(), now.getMonth(), diff);
-  return Array.from({ length: 7 }, (_, i) => {
-    const d = new Date(mon);
-    d.setDate(mon.getDate() + i);
-    return toDateStr(d);
+// "#ff3b30" → "255,59,48" — the bare channel list the neon rgba() glows expect.
+const hexToNeon = (hex) => {
+  let h = (hex || "#ffffff").replace("#", "");
+  if (h.length === 3) h = h.split("").map(c => c + c).join("");
+  const n = parseInt(h, 16) || 0;
+  return `${(n >> 16) & 255},${(n >> 8) & 255},${n & 255}`;
+};
+
+// Angular width of one slice when the ring holds `count` categories.
+const sliceDeg = (count) => 360 / Math.max(1, count);
+
+const defaultCategoryList = () =>
+  DEFAULT_CATEGORIES.map(({ id, label, emoji, color }) => ({ id, label, emoji, color }));
+
+// Short random id for user-created categories and orbitals.
+const newId = (prefix) =>
+  `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// "Maker Class" → "maker-class". Seeded and migrated orbitals get readable ids.
+const slugify = (label) =>
+  String(label).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "orbital";
+
+// Turns a list of orbital labels into { id, label } objects with ids unique
+// within the category.
+const labelsToOrbitals = (labels) => {
+  const used = new Set();
+  return labels.map(label => {
+    const base = slugify(label);
+    let id = base, n = 2;
+    while (used.has(id)) id = `${base}-${n++}`;
+    used.add(id);
+    return { id, label };
+  });
+};
+
+const defaultOrbitalMap = () =>
+  DEFAULT_CATEGORIES.reduce((a, c) => ({ ...a, [c.id]: labelsToOrbitals(c.orbitals) }), {});
+
+// A log entry's value is either a bare timestamp (live logs) or an object
+// { ts, backfilled, loggedAt } for entries added after the fact, where `ts`
+// is the time the ritual is attributed to and `loggedAt` when it was entered.
+const entryTs      = (value) => typeof value === "number" ? value : value?.ts;
+const withEntryTs  = (value, ts) => typeof value === "number" ? ts : { ...value, ts };
+const isBackfilled = (value) => typeof value === "object" && !!value?.backfilled;
+
+// Logging an orbital again the same day adds to its entry instead of
+// replacing it. The object form then also carries `count` (times logged),
+// for orbitals with a unit `amount` (the day's running total), and for
+// timed sessions `duration` (total seconds); `ts` stays the day's first log.
+const entryCount    = (value) => typeof value === "object" && value?.count > 0 ? value.count : 1;
+const entryAmount   = (value) => typeof value === "object" && Number.isFinite(value?.amount) ? value.amount : 0;
+const entryDuration = (value) => typeof value === "object" && value?.duration > 0 ? value.duration : 0;
+
+// Those totals are sums over `by`: { [writer]: { count, amount, duration, at } },
+// one share per page load that added to the entry, stamped with when it
+// last changed. Two tabs or devices adding to the same entry at once then
+// merge (mergeEntry) instead of one overwriting the other. A bare or older
+// entry without `by` counts as a single "base" share.
+const WRITER = newId("w");
+
+const entryShares = (value) => typeof value === "object" && value?.by
+  ? value.by
+  : { base: { count: entryCount(value), amount: entryAmount(value), duration: entryDuration(value), at: 0 } };
+
+const withShares = (value, by) => {
+  const shares = Object.values(by);
+  const sum    = (field) => shares.reduce((n, s) => n + (s[field] || 0), 0);
+  const next   = { ...(typeof value === "number" ? { ts: value } : value), count: sum("count") };
+  ["amount", "duration"].forEach(field => {
+    if (sum(field)) next[field] = sum(field);
+    else delete next[field];
+  });
+  next.by = Object.fromEntries(Object.entries(by).sort(([a], [b]) => a.localeCompare(b)));
+  return next;
+};
+
+// This writer's share changed by `sign` logs of `amount` and `duration`.
+// A share also counts how many of its logs were `backfilled`.
+const changeShare = (value, sign, amount, duration, now, backfilled = false) => {
+  const by   = { ...entryShares(value) };
+  const mine  = by[WRITER] || { count: 0 };
+  const count = Math.max(0, mine.count + sign);
+  by[WRITER] = {
+    count,
+    ...(mine.amount || amount ? { amount: Math.max(0, (mine.amount || 0) + sign * amount) } : {}),
+    ...(mine.duration || duration ? { duration: Math.max(0, (mine.duration || 0) + sign * duration) } : {}),
+    ...(mine.backfilled || backfilled ? { backfilled: Math.min(count, (mine.backfilled || 0) + (backfilled ? 1 : 0)) } : {}),
+    at: now,
+  };
+  return withShares(value, by);
+};
+
+// A backfilled log added to an existing entry leaves the entry's own time
+// and marks alone and is recorded on this writer's share instead.
+const addToEntry = (prev, fresh, amount = 0, duration = 0, now = Date.now()) => {
+  if (prev === undefined) {
+    if (!amount && !duration) return fresh;
+    return changeShare({ ...(typeof fresh === "number" ? { ts: fresh } : fresh), by: {} }, 1, amount, duration, now);
+  }
+  return changeShare(prev, 1, amount, duration, now, isBackfilled(fresh));
+};
+
+// Takes back one addToEntry made by this page, as a newer share so merging
+// with the copy that still has it doesn't bring it back.
+const takeFromEntry = (value, amount = 0, duration = 0, now = Date.now()) =>
+  entryShares(value)[WRITER] ? changeShare(value, -1, amount, duration, now) : value;
+
+// How many of an entry's logs were added after the fact, and when the last
+// of them was entered: all of a backfilled entry's logs, otherwise those
+// its shares counted as backfilled (entered at the share's `at`).
+const entryBackfill = (value) => {
+  const shares = Object.values(entryShares(value)).filter(s => s.backfilled > 0);
+  const times  = [...(isBackfilled(value) && value.loggedAt ? [value.loggedAt] : []), ...shares.map(s => s.at)];
+  return {
+    count:    isBackfilled(value) ? entryCount(value) : shares.reduce((n, s) => n + s.backfilled, 0),
+    loggedAt: times.length ? Math.max(...times) : null,
+  };
+};
+
+// Combines a stored entry with an incoming write of the same key. Shares
+// keep whichever side changed them last; everything else (time, note, mood)
+// follows the incoming value. Without shares on either side there's nothing
+// to combine, so the incoming value wins as before. Returns `incoming`
+// itself when the stored copy adds nothing.
+const mergeEntry = (stored, incoming) => {
+  if (stored === undefined || incoming === null) return incoming;
+  if (!stored?.by && !incoming?.by) return incoming;
+  const theirs = entryShares(incoming);
+  const by     = { ...entryShares(stored) };
+  Object.entries(theirs).forEach(([id, share]) => {
+    const mine = by[id];
+    if (!mine || share.at > mine.at || (share.at === mine.at && share.count >= mine.count)) by[id] = share;
   });
+  return Object.keys(by).every(id => by[id] === theirs[id]) ? incoming : withShares(incoming, by);
 };
 
+// An entry may also carry a journal `note` and a `mood` rating from 1 to 5.
+const entryNote = (value) => typeof value === "object" && typeof value?.note === "string" ? value.note : "";
+const entryMood = (value) => typeof value === "object" && value?.mood >= 1 && value?.mood <= 5 ? value.mood : null;
+
+const withEntryNote = (value, { note, mood }) => {
+  const { note: _note, mood: _mood, ...rest } = typeof value === "number" ? { ts: value } : value;
+  return {
+    ...rest,
+    ...(note?.trim() ? { note: note.trim() } : {}),
+    ...(mood ? { mood } : {}),
+  };
+};
+
+// Units an orbital can be measured in (`unit` on the orbital). Tapping such
+// an orbital offers the `quick` amounts instead of logging straight away.
+const ORBITAL_UNITS = [
+  { id: "count",   label: "COUNT",   suffix: "×",      quick: [1, 2, 5, 10] },
+  { id: "minutes", label: "MINUTES", suffix: " min",   quick: [5, 10, 15, 30, 60] },
+  { id: "pages",   label: "PAGES",   suffix: " pages", quick: [5, 10, 20, 50] },
+  { id: "reps",    label: "REPS",    suffix: " reps",  quick: [10, 20, 50, 100] },
+];
+
+const findUnit = (id) => ORBITAL_UNITS.find(u => u.id === id) || null;
+
+const formatAmount = (amount, unit) => `${Math.round(amount * 10) / 10}${unit.suffix}`;
+
+// Seconds as "45s", "12m", "12m 30s" or "1h 05m".
+const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600), m = Math.floor(seconds % 3600 / 60), s = Math.round(seconds % 60);
+  if (h) return `${h}h ${String(m).padStart(2, "0")}m`;
+  if (!m) return `${s}s`;
+  return s ? `${m}m ${s}s` : `${m}m`;
+};
+
+// Log keys are "<catId>:<orbitalId>". Split on the first colon only so
+// legacy label-based keys containing a colon still parse.
+const parseLogKey = (key) => {
+  const i = key.indexOf(":");
+  return i < 0 ? { catId: key, orbId: "" } : { catId: key.slice(0, i), orbId: key.slice(i + 1) };
+};
+
+// A logged orbital as configured, including one removed since (see
+// pastOrbitals on resolved categories).
+const findOrbital = (cats, catId, orbId) => {
+  const cat = cats.find(c => c.id === catId);
+  return cat?.orbitals.find(o => o.id === orbId) ?? cat?.pastOrbitals?.find(o => o.id === orbId);
+};
+
+// Current display label for a logged orbital. Entries whose orbital isn't
+// known at all fall back to the raw id, which for pre-migration orphans is
+// the label they were logged under.
+const orbitalLabel = (cats, catId, orbId) => findOrbital(cats, catId, orbId)?.label ?? orbId;
+
+const orbitalUnit = (cats, catId, orbId) => findUnit(findOrbital(cats, catId, orbId)?.unit);
+
+// "Workout ×2", "Read 30 pages", "Stillness · 20m" — an entry as shown in
+// lists and tooltips.
+const entrySummary = (cats, key, value) => {
+  const { catId, orbId } = parseLogKey(key);
+  const label = orbitalLabel(cats, catId, orbId);
+  const unit  = orbitalUnit(cats, catId, orbId);
+  if (unit && entryAmount(value)) return `${label} ${formatAmount(entryAmount(value), unit)}`;
+  const base = entryCount(value) > 1 ? `${label} ×${entryCount(value)}` : label;
+  return entryDuration(value) ? `${base} · ${formatDuration(entryDuration(value))}` : base;
+};
+
+// What one entry adds to a total under `metric`: "times" counts each log,
+// a unit id sums the amounts of orbitals measured in that unit.
+const entryMeasure = (cats, metric) => (key, value) => {
+  if (metric === "times") return entryCount(value);
+  const { catId, orbId } = parseLogKey(key);
+  return orbitalUnit(cats, catId, orbId)?.id === metric ? entryAmount(value) : 0;
+};
+
+const countTimes = (key, value) => entryCount(value);
+
+// Merges the stored category list with its orbitals and derives the neon
+// channel string, producing the shape every view renders from.
+// Orbitals removed in Settings stay in the config marked `removed`, so past
+// entries keep their labels; they're left out of `orbitals` and only looked
+// up through `pastOrbitals`.
+const liveOrbitals = (list = []) => list.filter(o => !o.removed);
+
+const resolveCategories = (categories, orbitals) =>
+  categories.map(cat => ({
+    ...cat,
+    neon:         hexToNeon(cat.color),
+    orbitals:     liveOrbitals(orbitals[cat.id]),
+    pastOrbitals: (orbitals[cat.id] || []).filter(o => o.removed),
+  }));
+
+// Stand-ins for categories removed in Settings, whose orbitals are kept so
+// views of past entries can still name them. Not part of the ring.
+const REMOVED_COLOR = "#98989d";
+
+const removedCategories = (categories, orbitals) =>
+  Object.keys(orbitals)
+    .filter(id => !categories.some(c => c.id === id))
+    .map(id => ({ id, label: "Removed", emoji: "·", color: REMOVED_COLOR, neon: hexToNeon(REMOVED_COLOR), orbitals: orbitals[id], removed: true }));
+
+// Calendar arithmetic on "YYYY-MM-DD" strings, done in local time.
+const addDays = (dateStr, n) => {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return toDateStr(new Date(y, m - 1, d + n));
+};
+
+// First day of the week containing `dateStr`; `weekStart` follows
+// Date#getDay() (0 = Sunday, 1 = Monday).
+const weekStartStr = (dateStr, weekStart = 1) => {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const day = new Date(y, m - 1, d).getDay();
+  return addDays(dateStr, -((day - weekStart + 7) % 7));
+};
+
+// The seven dates of the week containing `dateStr`.
+const getWeekDates = (dateStr, weekStart = 1) => {
+  const first = weekStartStr(dateStr, weekStart);
+  return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+};
+
+// DAY_LABELS rotated to start on `weekStart`.
+const weekdayLabels = (weekStart = 1) =>
+  Array.from({ length: 7 }, (_, i) => DAY_LABELS[(weekStart + i) % 7]);
+
 const getMonthDays = (year, month) => {
   const count = new Date(year, month + 1, 0).getDate();
   return Array.from({ length: count }, (_, i) => {
@@ -72,6 +357,276 @@ const getMonthDays = (year, month) => {
   });
 };
 
+// ─── ORBITAL LAYOUT ───────────────────────────────────────────────────────────
+const ORBITAL_SIZE   = 68;    // orbital button diameter (px)
+const ORBITAL_GAP    = 8;     // minimum clearance between neighbouring buttons
+const ORBITAL_RADIUS = 115;   // preferred distance from the pie center
+const ORBITAL_MAX_ARC = 200;  // widest fan before the radius grows instead
+const EDGE_MARGIN    = 8;     // keep buttons this far inside the viewport
+
+// Fans `count` buttons along an arc centred on the slice's mid-angle.
+// The angular step is the larger of what the slice width suggests and what
+// keeps neighbours from overlapping; if the fan would wrap too far round the
+// pie, the radius grows instead. Finally the whole fan is rotated by the
+// smallest amount that keeps every button on screen, and as a last resort
+// individual buttons are clamped to the viewport edges.
+// `center` is the pie center in viewport coordinates; results are offsets
+// from that center.
+const layoutOrbitals = ({ count, midAngle, slice, center, viewport }) => {
+  if (count <= 0) return [];
+  const chord   = ORBITAL_SIZE + ORBITAL_GAP;
+  const minStep = (r) => (2 * Math.asin(Math.min(1, chord / (2 * r))) * 180) / Math.PI;
+
+  let radius = ORBITAL_RADIUS;
+  if (count > 1 && minStep(radius) * (count - 1) > ORBITAL_MAX_ARC) {
+    radius = chord / (2 * Math.sin(((ORBITAL_MAX_ARC / (count - 1)) * Math.PI) / 360));
+  }
+  const step = count > 1 ? Math.max(minStep(radius), Math.min(slice, 90) / (count - 1)) : 0;
+
+  const place = (rotation) =>
+    Array.from({ length: count }, (_, i) => {
+      const deg = midAngle + rotation + (i - (count - 1) / 2) * step - 90;
+      const rad = (deg * Math.PI) / 180;
+      return { x: Math.cos(rad) * radius, y: Math.sin(rad) * radius };
+    });
+
+  const half   = ORBITAL_SIZE / 2 + EDGE_MARGIN;
+  const minX   = half - center.x, maxX = viewport.width  - half - center.x;
+  const minY   = half - center.y, maxY = viewport.height - half - center.y;
+  const fits   = (positions) => positions.every(p => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY);
+
+  for (let delta = 0; delta <= 180; delta += 5) {
+    const cw = place(delta);
+    if (fits(cw)) return cw;
+    const ccw = place(-delta);
+    if (fits(ccw)) return ccw;
+  }
+  return place(0).map(p => ({
+    x: Math.min(maxX, Math.max(minX, p.x)),
+    y: Math.min(maxY, Math.max(minY, p.y)),
+  }));
+};
+
+// ─── SCHEDULES ───────────────────────────────────────────────────────────────
+// A category may carry a `schedule` saying which days it's expected:
+//   { days: [0–6] }                     on these weekdays (0 = Sunday)
+//   { every: n, anchor: "YYYY-MM-DD" }  every n days, counted from anchor
+// either with `off: [{ from, to }]`, inclusive date ranges when it isn't
+// expected at all. No schedule means every day. One-off "skip today" marks
+// live in the "skips" config as { "YYYY-MM-DD": [catId, …] }.
+//
+// Unscheduled categories can still be logged; they just don't count toward
+// the day's target, completion percentages or streaks.
+const isScheduled = (cat, dateStr, skips = {}) => {
+  if (skips[dateStr]?.includes(cat.id)) return false;
+  const s = cat.schedule;
+  if (!s) return true;
+  if (s.off?.some(r => r.from <= dateStr && dateStr <= (r.to || r.from))) return false;
+  if (Array.isArray(s.days)) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    return s.days.includes(new Date(y, m - 1, d).getDay());
+  }
+  if (s.every > 1 && s.anchor) return ((daysBetween(s.anchor, dateStr) % s.every) + s.every) % s.every === 0;
+  return true;
+};
+
+const scheduledOn = (categories, dateStr, skips) => categories.filter(c => isScheduled(c, dateStr, skips));
+
+// Scheduled days in (from, to], stopping early once `cap` is reached.
+const scheduledDaysBetween = (cat, from, to, skips, cap = Infinity) => {
+  let n = 0;
+  for (let d = addDays(from, 1); d <= to && n < cap; d = addDays(d, 1)) {
+    if (isScheduled(cat, d, skips)) n++;
+  }
+  return n;
+};
+
+// ─── WEEKLY GOALS ────────────────────────────────────────────────────────────
+// Categories and orbitals may carry an optional `weeklyGoal` (times per week).
+
+// Totals for the given dates: per category, and per "<catId>:<orbId>". By
+// default every time an orbital was logged counts once; `measure` (see
+// entryMeasure) swaps in amounts.
+const countEntries = (logs, dates, measure = countTimes) => {
+  const cats = {}, orbs = {};
+  dates.forEach(date => {
+    Object.entries(logs[date] || {}).forEach(([key, value]) => {
+      const { catId } = parseLogKey(key);
+      const n = measure(key, value);
+      cats[catId] = (cats[catId] || 0) + n;
+      orbs[key]   = (orbs[key]   || 0) + n;
+    });
+  });
+  return { cats, orbs };
+};
+
+// { done, target } toward a category's weekly goal, or null when it has none.
+// An explicit category goal counts every entry in the category; otherwise the
+// orbital goals are summed, each orbital contributing at most its own target.
+const goalProgress = (cat, counts) => {
+  if (cat.weeklyGoal > 0) {
+    return { done: counts.cats[cat.id] || 0, target: cat.weeklyGoal };
+  }
+  const withGoals = cat.orbitals.filter(o => o.weeklyGoal > 0);
+  if (!withGoals.length) return null;
+  return withGoals.reduce((acc, o) => ({
+    done:   acc.done + Math.min(o.weeklyGoal, counts.orbs[`${cat.id}:${o.id}`] || 0),
+    target: acc.target + o.weeklyGoal,
+  }), { done: 0, target: 0 });
+};
+
+function GoalProgressList({ categories, counts }) {
+  const rows = categories
+    .map(cat => ({ cat, progress: goalProgress(cat, counts) }))
+    .filter(r => r.progress);
+  if (!rows.length) return null;
+  return (
+    <div style={{ marginTop: 22, display: "flex", flexDirection: "column", gap: 10 }}>
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em" }}>WEEKLY GOALS</p>
+      {rows.map(({ cat, progress }) => {
+        const left = Math.max(0, progress.target - progress.done);
+        return (
+          <div key={cat.id}>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 4 }}>
+              <span style={{ color: "rgba(255,255,255,0.45)" }}>{cat.emoji} {cat.label.split("/")[0]}</span>
+              <span style={{ color: left ? "rgba(255,255,255,0.3)" : cat.color }}>
+                {progress.done}/{progress.target}{left ? ` · ${left} LEFT` : " ✓"}
+              </span>
+            </div>
+            <div style={{ height: 4, borderRadius: 2, background: "rgba(255,255,255,0.05)", overflow: "hidden" }}>
+              <div style={{ width: `${Math.min(1, progress.done / progress.target) * 100}%`, height: "100%", background: cat.color }} />
+            </div>
+            {cat.orbitals.filter(o => o.weeklyGoal > 0).map(o => {
+              const n = counts.orbs[`${cat.id}:${o.id}`] || 0;
+              return (
+                <div key={o.id} style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.25)", padding: "3px 0 0 14px" }}>
+                  <span>{o.label}</span>
+                  <span>{n}/{o.weeklyGoal}</span>
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── STREAKS ─────────────────────────────────────────────────────────────────
+// Key used for the whole-ring streak: days on which every category was logged.
+const STREAK_ALL = "__all";
+
+// Current and longest streaks per category plus the whole-ring streak.
+//
+// Streaks are a left fold over the days from the first log to yesterday, and
+// the tracker caches one fold state per day. Because log updates are
+// immutable, an untouched day keeps its object identity; on recompute only
+// the days from the first changed one onward are re-folded — after a normal
+// tap that's nothing at all, since today is layered on top of the cache
+// rather than stored in it. Changing the categories (schedules included),
+// the skips, the rest allowance or the week start resets the cache.
+//
+// A missed day is forgiven while the streak is alive and fewer than
+// `restAllowance` days have been forgiven in the same week, which begins on
+// the configured `weekStart`. A day a category isn't scheduled leaves its
+// streak as it was unless it was logged anyway; the whole-ring streak needs
+// every scheduled category and skips days with none.
+// Today never breaks a streak; it only extends it once logged.
+function createStreakTracker() {
+  let sig = null, dates = [], refs = [], states = [];
+
+  // { done, off }: categories logged, and keys with nothing expected.
+  const dayState = (dayLogs, categories, date, skips) => {
+    const done = new Set();
+    Object.keys(dayLogs || {}).forEach(k => done.add(parseLogKey(k).catId));
+    const scheduled = scheduledOn(categories, date, skips).map(c => c.id);
+    const off = new Set(categories.filter(c => !scheduled.includes(c.id)).map(c => c.id));
+    if (!scheduled.length) off.add(STREAK_ALL);
+    else if (scheduled.every(id => done.has(id))) done.add(STREAK_ALL);
+    return { done, off };
+  };
+
+  const fold = (prev, date, { done, off }, keys, restAllowance, weekStart) => {
+    const week = weekStartStr(date, weekStart);
+    const next = {};
+    keys.forEach(k => {
+      const p    = prev?.[k] || { current: 0, longest: 0, rest: 0 };
+      const rest = p.week === week ? p.rest : 0;
+      if (done.has(k)) {
+        next[k] = { current: p.current + 1, longest: Math.max(p.longest, p.current + 1), rest, week };
+      } else if (off.has(k)) {
+        next[k] = { ...p, rest, week };
+      } else if (p.current > 0 && rest < restAllowance) {
+        next[k] = { current: p.current, longest: p.longest, rest: rest + 1, week };
+      } else {
+        next[k] = { current: 0, longest: p.longest, rest, week };
+      }
+    });
+    return next;
+  };
+
+  return {
+    compute(logs, categories, restAllowance, today, weekStart = 1, skips = {}) {
+      const catIds = categories.map(c => c.id);
+      const keys   = [...catIds, STREAK_ALL];
+      const first  = Object.keys(logs).filter(d => Object.keys(logs[d]).length).sort()[0];
+      const nextSig = `${keys.join(",")}|${restAllowance}|${weekStart}|${JSON.stringify(categories.map(c => c.schedule || null))}|${JSON.stringify(skips)}`;
+
+      if (nextSig !== sig || !first || (dates.length && first < dates[0])) {
+        sig = nextSig; dates = []; refs = []; states = [];
+      }
+
+      if (first) {
+        let i = 0;
+        while (i < dates.length && dates[i] < today && refs[i] === logs[dates[i]]) i++;
+        dates.length = refs.length = states.length = i;
+
+        for (let date = i ? addDays(dates[i - 1], 1) : first; date < today; date = addDays(date, 1)) {
+          states.push(fold(states[states.length - 1], date, dayState(logs[date], categories, date, skips), keys, restAllowance, weekStart));
+          dates.push(date);
+          refs.push(logs[date]);
+        }
+      }
+
+      const base      = states[states.length - 1];
+      const doneToday = dayState(logs[today], categories, today, skips).done;
+      return keys.reduce((acc, k) => {
+        const p       = base?.[k] || { current: 0, longest: 0 };
+        const current = doneToday.has(k) ? p.current + 1 : p.current;
+        acc[k] = { current, longest: Math.max(p.longest, current) };
+        return acc;
+      }, {});
+    },
+  };
+}
+
+function StreakTable({ streaks, categories }) {
+  const rows = [
+    ...categories.map(cat => ({ id: cat.id, label: cat.label.split("/")[0], color: cat.color })),
+    { id: STREAK_ALL, label: "Full Ring", color: "rgba(255,255,255,0.7)" },
+  ];
+  return (
+    <div>
+      <div style={{ display: "flex", fontSize: 8, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 6 }}>
+        <span style={{ flex: 1 }}>STREAKS</span>
+        <span style={{ width: 56, textAlign: "right" }}>NOW</span>
+        <span style={{ width: 56, textAlign: "right" }}>BEST</span>
+      </div>
+      {rows.map(row => {
+        const { current = 0, longest = 0 } = streaks[row.id] || {};
+        return (
+          <div key={row.id} style={{ display: "flex", alignItems: "center", padding: "5px 0", borderTop: "1px solid rgba(255,255,255,0.03)" }}>
+            <div style={{ width: 7, height: 7, borderRadius: row.id === STREAK_ALL ? 2 : "50%", background: row.color, marginRight: 8 }} />
+            <span style={{ flex: 1, fontSize: 10, color: "rgba(255,255,255,0.4)" }}>{row.label}</span>
+            <span style={{ width: 56, textAlign: "right", fontSize: 11, color: current ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.2)" }}>{current}d</span>
+            <span style={{ width: 56, textAlign: "right", fontSize: 11, color: "rgba(255,255,255,0.3)" }}>{longest}d</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 // ─── RESPONSIVE PIE SIZE ──────────────────────────────────────────────────────
 // Clamps to BOTH screen width and height so the pie never overflows horizontally
 // on narrow iPhones (SE, 12 mini) or gets clipped by the parent overflow:hidden.
@@ -93,19 +648,27 @@ function usePieSize() {
 }
 
 // ─── MINI RING ────────────────────────────────────────────────────────────────
-function MiniRing({ loggedSet, categories, size = 26 }) {
+// Segments of categories not scheduled that day (`scheduledSet`) are drawn
+// as dashed outlines, filled only if they were logged anyway.
+function MiniRing({ loggedSet, categories, scheduledSet, size = 26 }) {
   const cx = size / 2, cy = size / 2;
   const r  = size * 0.42, ir = size * 0.22;
   return (
     <svg width={size} height={size} style={{ overflow: "visible" }}>
       {categories.map((cat, i) => {
-        const a1 = i * 45, a2 = a1 + 43.5;
+        const step = sliceDeg(categories.length);
+        const a1 = i * step, a2 = a1 + step - Math.min(1.5, step / 4);
+        const off = scheduledSet && !scheduledSet.has(cat.id);
+        const logged = loggedSet.has(cat.id);
         return (
           <path
             key={cat.id}
             d={donutSlicePath(cx, cy, r, ir, a1, a2)}
-            fill={cat.color}
-            opacity={loggedSet.has(cat.id) ? 1 : 0.08}
+            fill={off && !logged ? "none" : cat.color}
+            opacity={logged ? (off ? 0.55 : 1) : off ? 0.35 : 0.08}
+            stroke={off ? cat.color : undefined}
+            strokeWidth={off ? 0.6 : undefined}
+            strokeDasharray={off ? "1.2 1.2" : undefined}
           />
         );
       })}
@@ -114,36 +677,97 @@ function MiniRing({ loggedSet, categories, size = 26 }) {
 }
 
 // ─── WEEKLY CHART ────────────────────────────────────────────────────────────
-function WeeklyChart({ logs, categories }) {
-  const weekDates = getWeekDates();
-  const data = weekDates.map((date, i) => {
+const WEEK_COMPARE_MODES = [
+  { id: "off",  label: "OFF" },
+  { id: "last", label: "LAST WEEK", weeks: 1 },
+  { id: "avg4", label: "4-WEEK AVG", weeks: 4 },
+];
+
+// Totals (countEntries `measure`) per weekday and per category, averaged
+// over the `weeks` weeks before the one starting on `firstDate`.
+const weekBaseline = (logs, categories, firstDate, weeks, measure = countTimes) => {
+  const catIds = new Set(categories.map(c => c.id));
+  const perDay = Array(7).fill(0);
+  const perCat = {};
+  for (let w = 1; w <= weeks; w++) {
+    for (let i = 0; i < 7; i++) {
+      Object.entries(logs[addDays(firstDate, i - 7 * w)] || {}).forEach(([k, value]) => {
+        const { catId } = parseLogKey(k);
+        if (!catIds.has(catId)) return;
+        const n = measure(k, value);
+        perDay[i] += n;
+        perCat[catId] = (perCat[catId] || 0) + n;
+      });
+    }
+  }
+  Object.keys(perCat).forEach(id => { perCat[id] /= weeks; });
+  return { perDay: perDay.map(n => n / weeks), perCat };
+};
+
+// Short "OCT 13" style label for a date string.
+const shortDate = (dateStr) => {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString("en-US", { month: "short", day: "numeric" }).toUpperCase();
+};
+
+// Stacked bars for the seven `dates`: times logged, or with a `unit` the
+// day's total amount in that unit. With a `baseline` (weekBaseline output)
+// its per-day totals are drawn as a dashed line over the bars. Horizontal
+// swipes on the chart call `onStep(±1)` instead of changing view.
+function WeeklyChart({ logs, categories, dates, weekStart, unit, baseline, onStep }) {
+  const labels  = weekdayLabels(weekStart);
+  const measure = entryMeasure(categories, unit?.id || "times");
+  const data = dates.map((date, i) => {
     const dayLogs = logs[date] || {};
-    const row = { day: DAY_LABELS[i] };
+    const row = { day: labels[i], date };
     categories.forEach(cat => {
-      row[cat.id] = Object.keys(dayLogs).filter(k => k.startsWith(cat.id + ":")).length;
+      row[cat.id] = Object.entries(dayLogs)
+        .filter(([k]) => parseLogKey(k).catId === cat.id)
+        .reduce((sum, [k, value]) => sum + measure(k, value), 0);
     });
+    if (baseline) row.baseline = Math.round(baseline.perDay[i] * 10) / 10;
     return row;
   });
 
+  const swipeX = useRef(null);
+  const handleTouchStart = (e) => { e.stopPropagation(); swipeX.current = e.touches[0].clientX; };
+  const handleTouchEnd   = (e) => {
+    e.stopPropagation();
+    if (swipeX.current === null) return;
+    const dx = e.changedTouches[0].clientX - swipeX.current;
+    if (Math.abs(dx) > 60) onStep(dx < 0 ? 1 : -1);
+    swipeX.current = null;
+  };
+
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload?.length) return null;
-    const cats = payload.filter(p => p.value > 0);
+    const cats = payload.filter(p => p.value > 0 && p.dataKey !== "baseline");
+    const base = payload.find(p => p.dataKey === "baseline");
     return (
       <div style={{ background: "#0c0c18", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 10, padding: "10px 14px" }}>
         <p style={{ color: "rgba(255,255,255,0.5)", fontSize: 11, marginBottom: 6, letterSpacing: "0.1em" }}>{label}</p>
-        {cats.map(p => (
-          <p key={p.dataKey} style={{ color: categories.find(c => c.id === p.dataKey)?.color, fontSize: 11, margin: "2px 0" }}>
-            {categories.find(c => c.id === p.dataKey)?.label}: {p.value}
-          </p>
-        ))}
+        {cats.map(p => {
+          const names = Object.entries(logs[p.payload.date] || {})
+            .filter(([k, value]) => parseLogKey(k).catId === p.dataKey && measure(k, value) > 0)
+            .map(([k, value]) => entrySummary(categories, k, value));
+          return (
+            <p key={p.dataKey} style={{ color: categories.find(c => c.id === p.dataKey)?.color, fontSize: 11, margin: "2px 0" }}>
+              {categories.find(c => c.id === p.dataKey)?.label}: {unit ? formatAmount(p.value, unit) : p.value}
+              <span style={{ color: "rgba(255,255,255,0.35)" }}> · {names.join(", ")}</span>
+            </p>
+          );
+        })}
+        {base && (
+          <p style={{ color: "rgba(255,255,255,0.4)", fontSize: 10, marginTop: 4 }}>Baseline: {base.value}</p>
+        )}
       </div>
     );
   };
 
   return (
-    <div style={{ width: "100%", height: 280 }}>
+    <div style={{ width: "100%", height: 280 }} onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
       <ResponsiveContainer>
-        <BarChart data={data} margin={{ top: 10, right: 10, left: -20, bottom: 0 }} barCategoryGap="30%">
+        <ComposedChart data={data} margin={{ top: 10, right: 10, left: -20, bottom: 0 }} barCategoryGap="30%">
           <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.03)" vertical={false} />
           <XAxis dataKey="day" tick={{ fill: "rgba(255,255,255,0.25)", fontSize: 11, fontFamily: "'Space Mono',monospace" }} axisLine={false} tickLine={false} />
           <YAxis tick={{ fill: "rgba(255,255,255,0.15)", fontSize: 10 }} axisLine={false} tickLine={false} allowDecimals={false} />
@@ -152,272 +776,3020 @@ function WeeklyChart({ logs, categories }) {
             <Bar key={cat.id} dataKey={cat.id} stackId="stack" fill={cat.color} name={cat.label}
               radius={i === categories.length - 1 ? [3, 3, 0, 0] : [0, 0, 0, 0]} />
           ))}
-        </BarChart>
+          {baseline && (
+            <Line dataKey="baseline" type="monotone" stroke="rgba(255,255,255,0.55)" strokeWidth={1.5} strokeDasharray="4 3"
+              dot={{ r: 2, fill: "rgba(255,255,255,0.55)" }} isAnimationActive={false} />
+          )}
+        </ComposedChart>
       </ResponsiveContainer>
     </div>
   );
 }
 
+// This week's per-category counts against the baseline, with the change.
+function WeekDeltaList({ categories, counts, baseline, label }) {
+  return (
+    <div style={{ marginTop: 22 }}>
+      <div style={{ display: "flex", fontSize: 8, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 6 }}>
+        <span style={{ flex: 1 }}>VS {label}</span>
+        <span style={{ width: 44, textAlign: "right" }}>WEEK</span>
+        <span style={{ width: 44, textAlign: "right" }}>BASE</span>
+        <span style={{ width: 44, textAlign: "right" }}>Δ</span>
+      </div>
+      {categories.map(cat => {
+        const now   = Math.round((counts.cats[cat.id] || 0) * 10) / 10;
+        const base  = Math.round((baseline.perCat[cat.id] || 0) * 10) / 10;
+        const delta = Math.round((now - base) * 10) / 10;
+        return (
+          <div key={cat.id} style={{ display: "flex", alignItems: "center", padding: "5px 0", borderTop: "1px solid rgba(255,255,255,0.03)", fontSize: 11 }}>
+            <div style={{ width: 7, height: 7, borderRadius: "50%", background: cat.color, marginRight: 8 }} />
+            <span style={{ flex: 1, fontSize: 10, color: "rgba(255,255,255,0.4)" }}>{cat.label.split("/")[0]}</span>
+            <span style={{ width: 44, textAlign: "right", color: "rgba(255,255,255,0.7)" }}>{now}</span>
+            <span style={{ width: 44, textAlign: "right", color: "rgba(255,255,255,0.3)" }}>{base}</span>
+            <span style={{ width: 44, textAlign: "right", color: delta > 0 ? "#30d158" : delta < 0 ? "#ff453a" : "rgba(255,255,255,0.2)" }}>
+              {delta > 0 ? `+${delta}` : delta < 0 ? `−${-delta}` : "±0"}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 // ─── HEATMAP CALENDAR ────────────────────────────────────────────────────────
-function HeatmapCalendar({ logs, categories }) {
-  const now = new Date();
-  const monthsToShow = [];
-  for (let m = 2; m >= 0; m--) {
-    const d = new Date(now.getFullYear(), now.getMonth() - m, 1);
-    monthsToShow.push({ year: d.getFullYear(), month: d.getMonth() });
+const HEATMAP_PAGE = 3;   // months per page in month mode
+
+// { year, month } moved by `n` months (month is 0-based, like Date).
+const shiftMonth = ({ year, month }, n) => {
+  const d = new Date(year, month + n, 1);
+  return { year: d.getFullYear(), month: d.getMonth() };
+};
+
+const monthIndex = ({ year, month }) => year * 12 + month;
+
+const monthLabel = ({ year, month }, opts = { month: "long", year: "numeric" }) =>
+  new Date(year, month, 1).toLocaleDateString("en-US", opts).toUpperCase();
+
+// Entries on one day matching `filter` ({ catId, orbId? }).
+const filteredCount = (dayLogs, filter) =>
+  Object.entries(dayLogs || {}).reduce((n, [k, value]) => {
+    const { catId, orbId } = parseLogKey(k);
+    return catId === filter.catId && (!filter.orbId || orbId === filter.orbId) ? n + entryCount(value) : n;
+  }, 0);
+
+// Share of `categories` (the day's scheduled ones) logged on one day, 0–1,
+// or null when none were scheduled.
+const dayCompletion = (dayLogs, categories) => {
+  if (!categories.length) return null;
+  const done = new Set(Object.keys(dayLogs || {}).map(k => parseLogKey(k).catId));
+  return categories.filter(c => done.has(c.id)).length / categories.length;
+};
+
+// Statistics for one month, counting only days up to `today`. The average
+// ring leaves out days on which nothing was scheduled.
+const monthSummary = (logs, categories, { year, month }, today, skips) => {
+  const days = getMonthDays(year, month).filter(d => d <= today);
+  const catDays = {};
+  let active = 0, entries = 0, full = 0, completion = 0, planned = 0;
+  days.forEach(date => {
+    const ratio = dayCompletion(logs[date], scheduledOn(categories, date, skips));
+    if (ratio !== null) {
+      planned++;
+      completion += ratio;
+      if (ratio === 1) full++;
+    }
+    const keys = Object.keys(logs[date] || {});
+    if (!keys.length) return;
+    active++;
+    entries += Object.values(logs[date]).reduce((n, value) => n + entryCount(value), 0);
+    new Set(keys.map(k => parseLogKey(k).catId)).forEach(id => { catDays[id] = (catDays[id] || 0) + 1; });
+  });
+  const top = categories.reduce((best, c) => (catDays[c.id] || 0) > (catDays[best?.id] || 0) ? c : best, null);
+  return {
+    days: days.length, active, entries, full,
+    pct: planned ? Math.round(completion / planned * 100) : 0,
+    top,
+  };
+};
+
+// Filled dot whose strength follows `value / max`; the filtered-mode cell.
+// An empty day the category wasn't scheduled (`off`) is a dashed outline.
+function HeatCell({ value, max, color, size, off }) {
+  if (off && !value) {
+    return <div style={{ width: size, height: size, borderRadius: "50%", border: `1px dashed ${color}`, opacity: 0.35 }} />;
   }
+  return (
+    <div style={{
+      width: size, height: size, borderRadius: "50%",
+      background: color,
+      opacity: value ? 0.25 + 0.75 * Math.min(1, value / max) : 0.06,
+    }} />
+  );
+}
+
+function MonthSummary({ summary }) {
+  const stat = (label, value) => (
+    <div style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      <span style={{ fontSize: 8, color: "rgba(255,255,255,0.2)", letterSpacing: "0.12em" }}>{label}</span>
+      <span style={{ fontSize: 12, color: "rgba(255,255,255,0.65)" }}>{value}</span>
+    </div>
+  );
+  return (
+    <div style={{
+      display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, marginBottom: 12,
+      padding: "10px 12px", borderRadius: 10, background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.05)",
+    }}>
+      {stat("ACTIVE DAYS", `${summary.active}/${summary.days}`)}
+      {stat("ENTRIES", summary.entries)}
+      {stat("FULL RING", `${summary.full}D`)}
+      {stat("AVG RING", `${summary.pct}%`)}
+      {stat("TOP", summary.top ? `${summary.top.emoji} ${summary.top.label.split("/")[0]}` : "—")}
+    </div>
+  );
+}
+
+// Month pages (MiniRing per day) or a year-at-a-glance grid. A category or
+// orbital filter swaps the rings for one-colour intensity dots.
+function HeatmapCalendar({ logs, categories, today, weekStart, skips, onSelectDay }) {
+  const [ty, tm] = today.split("-").map(Number);
+  const current  = { year: ty, month: tm - 1 };
+  const [mode, setMode]       = useState("month");    // "month" | "year"
+  const [page, setPage]       = useState(current);    // newest month shown in month mode
+  const [year, setYear]       = useState(ty);         // year shown in year mode
+  const [filter, setFilter]   = useState(null);       // { catId, orbId? } | null
+  const [summary, setSummary] = useState(null);       // "year-month" whose summary is open
+
+  const firstDate = Object.keys(logs).filter(d => Object.keys(logs[d]).length).sort()[0] || today;
+  const [fy, fm]  = firstDate.split("-").map(Number);
+  const earliest  = { year: fy, month: fm - 1 };
+
+  const filterCat = filter && categories.find(c => c.id === filter.catId);
+  const activeFilter = filterCat ? filter : null;
+
+  const monthsToShow = Array.from({ length: HEATMAP_PAGE }, (_, i) => shiftMonth(page, i - HEATMAP_PAGE + 1));
+  const canPrev = mode === "month" ? monthIndex(monthsToShow[0]) > monthIndex(earliest) : year > fy;
+  const canNext = mode === "month" ? monthIndex(page) < monthIndex(current) : year < ty;
+  const step = (n) => {
+    if (mode === "month") setPage(p => shiftMonth(p, n * HEATMAP_PAGE));
+    else setYear(y => y + n);
+  };
+
+  // Intensity is relative to the busiest day currently on screen.
+  const shownDays = mode === "month"
+    ? monthsToShow.flatMap(m => getMonthDays(m.year, m.month))
+    : Array.from({ length: 12 }, (_, m) => getMonthDays(year, m)).flat();
+  const maxCount = activeFilter ? Math.max(1, ...shownDays.map(d => filteredCount(logs[d], activeFilter))) : 1;
 
   const getLoggedSet = (dateStr) => {
     const dayLogs = logs[dateStr] || {};
     const set = new Set();
     Object.keys(dayLogs).forEach(k => {
-      const catId = k.split(":")[0];
+      const { catId } = parseLogKey(k);
       if (catId) set.add(catId);
     });
     return set;
   };
 
-  return (
-    <div style={{ display: "flex", flexDirection: "column", gap: 32, paddingBottom: 32 }}>
-      {monthsToShow.map(({ year, month }) => {
-        const days     = getMonthDays(year, month);
-        const firstDay = new Date(year, month, 1).getDay();
-        const offset   = firstDay === 0 ? 6 : firstDay - 1;
-        const label    = new Date(year, month, 1).toLocaleDateString("en-US", { month: "long", year: "numeric" });
-        return (
-          <div key={`${year}-${month}`}>
-            <p style={{ color: "rgba(255,255,255,0.25)", fontSize: 11, letterSpacing: "0.15em", marginBottom: 10 }}>
-              {label.toUpperCase()}
-            </p>
-            <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 4 }}>
-              {["M","T","W","T","F","S","S"].map((d, i) => (
-                <div key={i} style={{ textAlign: "center", color: "rgba(255,255,255,0.15)", fontSize: 9, paddingBottom: 4 }}>{d}</div>
-              ))}
-              {Array.from({ length: offset }, (_, i) => <div key={`e${i}`} />)}
-              {days.map((dateStr, di) => {
-                const loggedSet = getLoggedSet(dateStr);
-                const isToday   = dateStr === toDateStr();
-                return (
-                  <div key={dateStr} style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 2 }}>
-                    <div style={{ position: "relative" }}>
-                      <MiniRing loggedSet={loggedSet} categories={categories} size={26} />
-                      {isToday && (
-                        <div style={{ position: "absolute", inset: 0, border: "1.5px solid rgba(255,255,255,0.4)", borderRadius: "50%" }} />
-                      )}
-                    </div>
-                    <span style={{ fontSize: 8, color: isToday ? "rgba(255,255,255,0.6)" : "rgba(255,255,255,0.15)" }}>
-                      {di + 1}
-                    </span>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        );
-      })}
-    </div>
-  );
-}
-
-// ─── SETTINGS PANEL ──────────────────────────────────────────────────────────
-function SettingsPanel({ orbitals, setOrbitals, onClearData, onClose }) {
-  const [expandedCat, setExpandedCat] = useState(null);
-  const [editValues, setEditValues]   = useState(orbitals);
-  const [saved, setSaved]             = useState(false);
-
-  const handleSave = () => {
-    setOrbitals(editValues);
-    setSaved(true);
-    setTimeout(() => setSaved(false), 1500);
+  const dayTitle = (dateStr) => {
+    const names = Object.keys(logs[dateStr] || {})
+      .map(parseLogKey)
+      .map(({ catId, orbId }) => orbitalLabel(categories, catId, orbId));
+    const notes = Object.values(logs[dateStr] || {}).filter(entryNote).length;
+    return (names.length ? `${dateStr}: ${names.join(", ")}` : dateStr) + (notes ? ` (${notes} note${notes === 1 ? "" : "s"})` : "");
   };
 
+  const chip = (active, color) => ({
+    flexShrink: 0, padding: "4px 10px", borderRadius: 14, cursor: "pointer", fontSize: 9, letterSpacing: "0.1em",
+    background: active ? "rgba(255,255,255,0.1)" : "transparent",
+    border: `1px solid ${active ? color || "rgba(255,255,255,0.2)" : "rgba(255,255,255,0.05)"}`,
+    color: active ? "rgba(255,255,255,0.75)" : "rgba(255,255,255,0.3)",
+  });
+  const navButton = (enabled) => ({
+    background: "none", border: "none", padding: "2px 10px", fontSize: 14,
+    cursor: enabled ? "pointer" : "default", color: "rgba(255,255,255,0.4)", opacity: enabled ? 1 : 0.2,
+  });
+
   return (
-    <motion.div
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      exit={{ opacity: 0 }}
-      style={{ position: "fixed", inset: 0, zIndex: 100, background: "rgba(0,0,0,0.75)", backdropFilter: "blur(8px)", display: "flex", alignItems: "flex-end" }}
-      onClick={onClose}
-    >
-      <motion.div
-        initial={{ y: "100%" }}
-        animate={{ y: 0 }}
-        exit={{ y: "100%" }}
-        transition={{ type: "spring", damping: 30, stiffness: 300 }}
-        onClick={e => e.stopPropagation()}
-        style={{
-          background: "#0c0c18",
-          borderTop: "1px solid rgba(255,255,255,0.08)",
-          borderRadius: "24px 24px 0 0",
-          width: "100%", maxHeight: "82vh", overflowY: "auto",
-          padding: "24px 20px 40px",
-        }}
-      >
-        <div style={{ width: 36, height: 4, background: "rgba(255,255,255,0.15)", borderRadius: 2, margin: "0 auto 20px" }} />
+    <div style={{ paddingBottom: 32 }}>
+      {/* Mode and paging */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 }}>
+        <div style={{ display: "flex", gap: 4 }}>
+          {["month", "year"].map(m => (
+            <button key={m} onClick={() => setMode(m)} style={chip(mode === m)}>{m === "month" ? "MONTHS" : "YEAR"}</button>
+          ))}
+        </div>
+        <div style={{ display: "flex", alignItems: "center" }}>
+          <button onClick={() => step(-1)} disabled={!canPrev} aria-label="Earlier" style={navButton(canPrev)}>‹</button>
+          <span style={{ fontSize: 10, color: "rgba(255,255,255,0.35)", letterSpacing: "0.12em", minWidth: 90, textAlign: "center" }}>
+            {mode === "month"
+              ? `${monthLabel(monthsToShow[0], { month: "short" })} – ${monthLabel(page, { month: "short", year: "2-digit" })}`
+              : year}
+          </span>
+          <button onClick={() => step(1)} disabled={!canNext} aria-label="Later" style={navButton(canNext)}>›</button>
+        </div>
+      </div>
 
-        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24 }}>
-          <span style={{ fontSize: 13, letterSpacing: "0.2em", color: "rgba(255,255,255,0.6)" }}>SETTINGS</span>
-          <button onClick={onClose} style={{ background: "rgba(255,255,255,0.06)", border: "none", borderRadius: 8, padding: "6px 8px", cursor: "pointer", color: "rgba(255,255,255,0.4)" }}>
-            <X size={16} />
+      {/* Category / orbital filter */}
+      <div style={{ display: "flex", gap: 4, overflowX: "auto", scrollbarWidth: "none", marginBottom: 6 }}>
+        <button onClick={() => setFilter(null)} style={chip(!activeFilter)}>ALL</button>
+        {categories.map(cat => (
+          <button key={cat.id} onClick={() => setFilter({ catId: cat.id })} style={chip(activeFilter?.catId === cat.id, cat.color)}>
+            {cat.emoji} {cat.label.split("/")[0].toUpperCase()}
           </button>
+        ))}
+      </div>
+      {filterCat && (
+        <div style={{ display: "flex", gap: 4, overflowX: "auto", scrollbarWidth: "none", marginBottom: 6 }}>
+          <button onClick={() => setFilter({ catId: filterCat.id })} style={chip(!activeFilter.orbId, filterCat.color)}>ANY</button>
+          {filterCat.orbitals.map(orb => (
+            <button key={orb.id} onClick={() => setFilter({ catId: filterCat.id, orbId: orb.id })} style={chip(activeFilter.orbId === orb.id, filterCat.color)}>
+              {orb.label}
+            </button>
+          ))}
         </div>
+      )}
 
-        <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", marginBottom: 14 }}>CUSTOMIZE ORBITALS</p>
+      {mode === "month" && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 32, marginTop: 18 }}>
+          {monthsToShow.map(m => {
+            const key    = `${m.year}-${m.month}`;
+            const days   = getMonthDays(m.year, m.month);
+            const offset = (new Date(m.year, m.month, 1).getDay() - weekStart + 7) % 7;
+            return (
+              <div key={key}>
+                <button
+                  onClick={() => setSummary(s => s === key ? null : key)}
+                  aria-expanded={summary === key}
+                  style={{ background: "none", border: "none", padding: 0, cursor: "pointer", color: "rgba(255,255,255,0.25)", fontSize: 11, letterSpacing: "0.15em", marginBottom: 10 }}
+                >
+                  {monthLabel(m)} {summary === key ? "▴" : "▾"}
+                </button>
+                {summary === key && <MonthSummary summary={monthSummary(logs, categories, m, today, skips)} />}
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 4 }}>
+                  {weekdayLabels(weekStart).map((d, i) => (
+                    <div key={i} style={{ textAlign: "center", color: "rgba(255,255,255,0.15)", fontSize: 9, paddingBottom: 4 }}>{d[0]}</div>
+                  ))}
+                  {Array.from({ length: offset }, (_, i) => <div key={`e${i}`} />)}
+                  {days.map((dateStr, di) => {
+                    const isToday = dateStr === today;
+                    return (
+                      <div key={dateStr} title={dayTitle(dateStr)} onClick={() => onSelectDay(dateStr)} style={{ display: "flex", flexDirection: "column", alignItems: "center", gap: 2, cursor: "pointer" }}>
+                        <div style={{ position: "relative" }}>
+                          {activeFilter
+                            ? <HeatCell value={filteredCount(logs[dateStr], activeFilter)} max={maxCount} color={filterCat.color} size={26} off={!isScheduled(filterCat, dateStr, skips)} />
+                            : <MiniRing loggedSet={getLoggedSet(dateStr)} categories={categories} scheduledSet={new Set(scheduledOn(categories, dateStr, skips).map(c => c.id))} size={26} />}
+                          {isToday && (
+                            <div style={{ position: "absolute", inset: 0, border: "1.5px solid rgba(255,255,255,0.4)", borderRadius: "50%" }} />
+                          )}
+                          {Object.values(logs[dateStr] || {}).some(entryNote) && (
+                            <div aria-hidden="true" style={{ position: "absolute", top: -1, right: -1, width: 5, height: 5, borderRadius: "50%", background: "rgba(255,255,255,0.7)" }} />
+                          )}
+                        </div>
+                        <span style={{ fontSize: 8, color: isToday ? "rgba(255,255,255,0.6)" : "rgba(255,255,255,0.15)" }}>
+                          {di + 1}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
 
-        {DEFAULT_CATEGORIES.map(cat => (
-          <div key={cat.id} style={{ marginBottom: 6 }}>
-            <button
-              onClick={() => setExpandedCat(expandedCat === cat.id ? null : cat.id)}
-              style={{
-                display: "flex", alignItems: "center", gap: 10, width: "100%", textAlign: "left",
-                background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.05)",
-                borderRadius: 10, padding: "10px 14px", cursor: "pointer", color: "white",
-              }}
-            >
-              <div style={{ width: 10, height: 10, borderRadius: "50%", background: cat.color, flexShrink: 0 }} />
-              <span style={{ fontSize: 12, color: "rgba(255,255,255,0.6)" }}>{cat.label}</span>
-              <span style={{ marginLeft: "auto", fontSize: 10, color: "rgba(255,255,255,0.2)" }}>
-                {expandedCat === cat.id ? "▲" : "▼"}
-              </span>
-            </button>
-            <AnimatePresence>
-              {expandedCat === cat.id && (
-                <motion.div initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} style={{ overflow: "hidden" }}>
-                  <div style={{ padding: "8px 0 4px 20px", display: "flex", flexDirection: "column", gap: 6 }}>
-                    {(editValues[cat.id] || cat.orbitals).map((orb, i) => (
-                      <input
-                        key={i}
-                        value={orb}
-                        onChange={e => setEditValues(prev => ({
-                          ...prev,
-                          [cat.id]: prev[cat.id].map((o, j) => j === i ? e.target.value : o),
-                        }))}
+      {mode === "year" && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: "16px 12px", marginTop: 18 }}>
+          {Array.from({ length: 12 }, (_, month) => {
+            const m      = { year, month };
+            const offset = (new Date(year, month, 1).getDay() - weekStart + 7) % 7;
+            return (
+              <div key={month}>
+                <button
+                  onClick={() => { setMode("month"); setPage(monthIndex(m) > monthIndex(current) ? current : m); }}
+                  style={{ background: "none", border: "none", padding: 0, cursor: "pointer", color: "rgba(255,255,255,0.25)", fontSize: 9, letterSpacing: "0.15em", marginBottom: 5 }}
+                >
+                  {monthLabel(m, { month: "short" })}
+                </button>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 2 }}>
+                  {Array.from({ length: offset }, (_, i) => <div key={`e${i}`} />)}
+                  {getMonthDays(year, month).map(dateStr => {
+                    const future  = dateStr > today;
+                    const value   = activeFilter
+                      ? filteredCount(logs[dateStr], activeFilter) / maxCount
+                      : dayCompletion(logs[dateStr], scheduledOn(categories, dateStr, skips));
+                    const rest    = !future && !value && (activeFilter ? !isScheduled(filterCat, dateStr, skips) : value === null);
+                    return (
+                      <div
+                        key={dateStr}
+                        title={dayTitle(dateStr)}
+                        onClick={() => !future && onSelectDay(dateStr)}
                         style={{
-                          background: "rgba(255,255,255,0.04)", border: `1px solid ${cat.color}30`,
-                          borderRadius: 8, padding: "8px 12px", fontSize: 12,
-                          color: "rgba(255,255,255,0.7)", outline: "none",
+                          aspectRatio: "1", borderRadius: 2, cursor: future ? "default" : "pointer",
+                          background: rest ? "transparent" : activeFilter ? filterCat.color : "#ffffff",
+                          boxShadow: rest ? "inset 0 0 0 1px rgba(255,255,255,0.2)" : "none",
+                          opacity: future ? 0.02 : value ? 0.2 + 0.8 * value : rest ? 1 : 0.06,
+                          outline: dateStr === today ? "1px solid rgba(255,255,255,0.6)" : "none",
                         }}
                       />
-                    ))}
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── INSIGHTS ────────────────────────────────────────────────────────────────
+const INSIGHT_RANGES = [30, 90, 365];
+const ROLLING_DAYS   = 7;
+
+// Balance, completion and orbital usage over the `days` days ending `today`.
+// Only days a category is scheduled (see isScheduled) count against it.
+//   balance:    per category, the share of its scheduled days it was logged
+//   completion: per day, the share of scheduled categories logged (null on a
+//               rest day), plus a trailing ROLLING_DAYS average of it
+//   orbitals:   per category, times logged per orbital, most used first
+//   lastLogged: per category, the most recent date with an entry (any range)
+//   timeOfDay:  per category, entries per hour of the ritual day (index 0 is
+//               `dayStartHour`) and their mean time, in minutes from day start;
+//               backfilled entries are left out, their time being made up
+//   backfilled: logs in the range that were added after the fact
+const computeInsights = (logs, categories, today, days, dayStartHour = 0, skips = {}) => {
+  const dates = Array.from({ length: days }, (_, i) => addDays(today, i - days + 1));
+  const catDays   = Object.fromEntries(categories.map(c => [c.id, 0]));
+  const planned   = Object.fromEntries(categories.map(c => [c.id, 0]));
+  const orbCounts = {};
+  const minutes   = Object.fromEntries(categories.map(c => [c.id, []]));
+  let backfilled  = 0;
+  const daily     = dates.map(date => {
+    const done = new Set();
+    Object.entries(logs[date] || {}).forEach(([k, value]) => {
+      const { catId, orbId } = parseLogKey(k);
+      done.add(catId);
+      orbCounts[`${catId}:${orbId}`] = (orbCounts[`${catId}:${orbId}`] || 0) + entryCount(value);
+      backfilled += entryBackfill(value).count;
+      const ts = entryTs(value);
+      if (minutes[catId] && Number.isFinite(ts) && !isBackfilled(value)) minutes[catId].push(minuteOfRitualDay(ts, dayStartHour));
+    });
+    const scheduled = scheduledOn(categories, date, skips);
+    const hit = scheduled.filter(c => done.has(c.id));
+    scheduled.forEach(c => { planned[c.id]++; });
+    hit.forEach(c => { catDays[c.id]++; });
+    return scheduled.length ? hit.length / scheduled.length : null;
+  });
+
+  const mean = (list) => {
+    const vals = list.filter(v => v !== null);
+    return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+  };
+  const pct = (v) => v === null ? null : Math.round(v * 100);
+
+  const completion = dates.map((date, i) => ({
+    date,
+    day:     pct(daily[i]),
+    rolling: pct(mean(daily.slice(Math.max(0, i - ROLLING_DAYS + 1), i + 1))),
+  }));
+
+  const lastLogged = {};
+  Object.keys(logs).filter(d => d <= today).sort().forEach(date => {
+    Object.keys(logs[date]).forEach(k => { lastLogged[parseLogKey(k).catId] = date; });
+  });
+
+  return {
+    balance: categories.map(c => ({
+      catId: c.id, days: catDays[c.id], pct: planned[c.id] ? Math.round(catDays[c.id] / planned[c.id] * 100) : 0,
+    })),
+    completion,
+    average: pct(mean(daily)) ?? 0,
+    orbitals: Object.fromEntries(categories.map(c => [
+      c.id,
+      c.orbitals
+        .map(o => ({ orb: o, count: orbCounts[`${c.id}:${o.id}`] || 0 }))
+        .sort((a, b) => b.count - a.count),
+    ])),
+    lastLogged,
+    timeOfDay: Object.fromEntries(categories.map(c => {
+      const list  = minutes[c.id];
+      const hours = Array(24).fill(0);
+      list.forEach(m => { hours[Math.floor(m / 60)]++; });
+      return [c.id, { hours, count: list.length, mean: list.length ? list.reduce((a, b) => a + b, 0) / list.length : null }];
+    })),
+    backfilled,
+  };
+};
+
+// Minutes from the start of the ritual day (`dayStartHour`) to `ts`, so a
+// 1 am entry with a 4 am day start sorts after 11 pm rather than before 6 am.
+const minuteOfRitualDay = (ts, dayStartHour = 0) => {
+  const d = new Date(ts);
+  return ((d.getHours() - dayStartHour + 24) % 24) * 60 + d.getMinutes();
+};
+
+// Inverse of minuteOfRitualDay, as "HH:MM".
+const ritualMinuteLabel = (minute, dayStartHour = 0) => {
+  const m = Math.round(minute) + dayStartHour * 60;
+  return `${String(Math.floor(m / 60) % 24).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+// Days between two "YYYY-MM-DD" strings (b − a).
+const daysBetween = (a, b) => {
+  const [ay, am, ad] = a.split("-").map(Number);
+  const [by, bm, bd] = b.split("-").map(Number);
+  return Math.round((Date.UTC(by, bm - 1, bd) - Date.UTC(ay, am - 1, ad)) / 86400000);
+};
+
+function InsightsView({ logs, categories, today, neglectDays, dayStartHour, skips }) {
+  const [range, setRange] = useState(30);
+  const insights = useMemo(
+    () => computeInsights(logs, categories, today, range, dayStartHour, skips),
+    [logs, categories, today, range, dayStartHour, skips],
+  );
+
+  // Idle time shown in calendar days, but only scheduled days make it neglect.
+  const neglected = categories
+    .map(cat => {
+      const last = insights.lastLogged[cat.id];
+      return { cat, last, idle: last ? daysBetween(last, today) : null };
+    })
+    .filter(r => r.idle === null || scheduledDaysBetween(r.cat, r.last, today, skips, neglectDays) >= neglectDays)
+    .sort((a, b) => (b.idle ?? Infinity) - (a.idle ?? Infinity));
+
+  const radarData = insights.balance.map(b => {
+    const cat = categories.find(c => c.id === b.catId);
+    return { label: `${cat.emoji} ${cat.label.split("/")[0]}`, pct: b.pct };
+  });
+
+  const sectionLabel = { fontSize: 9, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 10 };
+  const axisTick     = { fill: "rgba(255,255,255,0.3)", fontSize: 9, fontFamily: "'Space Mono',monospace" };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 26 }}>
+      <div style={{ display: "flex", gap: 6, justifyContent: "center" }}>
+        {INSIGHT_RANGES.map(n => (
+          <button
+            key={n}
+            onClick={() => setRange(n)}
+            style={{
+              fontSize: 9, letterSpacing: "0.18em", padding: "5px 12px", borderRadius: 20, cursor: "pointer",
+              background: range === n ? "rgba(255,255,255,0.1)" : "transparent",
+              border: range === n ? "1px solid rgba(255,255,255,0.15)" : "1px solid rgba(255,255,255,0.04)",
+              color: range === n ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.25)",
+            }}
+          >
+            {n}D
+          </button>
+        ))}
+      </div>
+
+      {neglected.length > 0 && (
+        <div>
+          <p style={sectionLabel}>NEGLECTED · {neglectDays}+ DAYS</p>
+          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+            {neglected.map(({ cat, last, idle }) => (
+              <div key={cat.id} style={{
+                display: "flex", alignItems: "center", gap: 8, padding: "8px 12px", borderRadius: 10,
+                background: `rgba(${cat.neon},0.06)`, border: `1px solid rgba(${cat.neon},0.2)`,
+              }}>
+                <span style={{ fontSize: 14 }}>{cat.emoji}</span>
+                <span style={{ flex: 1, fontSize: 10, color: "rgba(255,255,255,0.5)" }}>{cat.label.split("/")[0]}</span>
+                <span style={{ fontSize: 10, color: cat.color }}>
+                  {last ? `${idle}D AGO` : "NEVER"}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <p style={sectionLabel}>BALANCE · % OF DAYS LOGGED</p>
+        <div style={{ width: "100%", height: 260 }}>
+          <ResponsiveContainer>
+            <RadarChart data={radarData} outerRadius="70%">
+              <PolarGrid stroke="rgba(255,255,255,0.06)" />
+              <PolarAngleAxis dataKey="label" tick={axisTick} />
+              <PolarRadiusAxis domain={[0, 100]} tick={false} axisLine={false} />
+              <Radar dataKey="pct" stroke="rgba(255,255,255,0.7)" fill="rgba(255,255,255,0.7)" fillOpacity={0.15} isAnimationActive={false} />
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div>
+        <p style={sectionLabel}>COMPLETION · {insights.average}% AVG · {ROLLING_DAYS}-DAY ROLLING</p>
+        <div style={{ width: "100%", height: 160 }}>
+          <ResponsiveContainer>
+            <AreaChart data={insights.completion} margin={{ top: 6, right: 6, left: -28, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.03)" vertical={false} />
+              <XAxis dataKey="date" tick={false} axisLine={false} tickLine={false} />
+              <YAxis domain={[0, 100]} ticks={[0, 50, 100]} tick={{ fill: "rgba(255,255,255,0.15)", fontSize: 10 }} axisLine={false} tickLine={false} />
+              <Tooltip
+                contentStyle={{ background: "#0c0c18", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 10, fontSize: 11 }}
+                labelStyle={{ color: "rgba(255,255,255,0.5)" }}
+                formatter={v => [v === null ? "—" : `${v}%`, `${ROLLING_DAYS}-day`]}
+              />
+              <Area type="monotone" dataKey="rolling" stroke="#30d158" fill="#30d158" fillOpacity={0.12} strokeWidth={1.5} isAnimationActive={false} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div>
+        <p style={sectionLabel}>ORBITALS · MOST AND LEAST USED</p>
+        {categories.map(cat => {
+          const orbs = insights.orbitals[cat.id];
+          if (!orbs.length) return null;
+          const most  = orbs[0];
+          const least = orbs[orbs.length - 1];
+          return (
+            <div key={cat.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 0", borderTop: "1px solid rgba(255,255,255,0.03)", fontSize: 10 }}>
+              <div style={{ width: 7, height: 7, borderRadius: "50%", background: cat.color, flexShrink: 0 }} />
+              <span style={{ width: 64, color: "rgba(255,255,255,0.4)", flexShrink: 0 }}>{cat.label.split("/")[0]}</span>
+              <span style={{ flex: 1, color: most.count ? cat.color : "rgba(255,255,255,0.2)" }}>
+                ▲ {most.orb.label} {most.count}
+              </span>
+              {orbs.length > 1 && (
+                <span style={{ flex: 1, textAlign: "right", color: "rgba(255,255,255,0.25)" }}>
+                  ▼ {least.orb.label} {least.count}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <TimeOfDayList categories={categories} timeOfDay={insights.timeOfDay} backfilled={insights.backfilled} dayStartHour={dayStartHour} />
+    </div>
+  );
+}
+
+// Per-category hour-of-day histogram (24 bars across the ritual day) with
+// the average time of completion. Backfilled entries have no real time of
+// day; the footer says how many logs that leaves out.
+function TimeOfDayList({ categories, timeOfDay, backfilled, dayStartHour }) {
+  const rows = categories.filter(c => timeOfDay[c.id]?.count);
+  if (!rows.length) return null;
+  const ticks = [0, 6, 12, 18].map(h => ritualMinuteLabel(h * 60, dayStartHour).slice(0, 2));
+  return (
+    <div>
+      <div style={{ display: "flex", fontSize: 9, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 10 }}>
+        <span style={{ flex: 1 }}>TIME OF DAY</span>
+        <span>AVG</span>
+      </div>
+      {rows.map(cat => {
+        const { hours, mean } = timeOfDay[cat.id];
+        const peak = Math.max(...hours);
+        return (
+          <div key={cat.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "6px 0", borderTop: "1px solid rgba(255,255,255,0.03)" }}>
+            <span style={{ width: 18, fontSize: 12, flexShrink: 0 }}>{cat.emoji}</span>
+            <div
+              role="img"
+              aria-label={`${cat.label}: usually around ${ritualMinuteLabel(mean, dayStartHour)}`}
+              style={{ flex: 1, display: "flex", alignItems: "flex-end", gap: 1, height: 22 }}
+            >
+              {hours.map((n, h) => (
+                <div key={h} style={{
+                  flex: 1, borderRadius: 1,
+                  height: n ? `${Math.max(12, (n / peak) * 100)}%` : 1,
+                  background: n ? cat.color : "rgba(255,255,255,0.06)",
+                  opacity: n ? 0.35 + 0.65 * (n / peak) : 1,
+                }} />
+              ))}
+            </div>
+            <span style={{ width: 40, textAlign: "right", fontSize: 10, color: "rgba(255,255,255,0.45)", flexShrink: 0 }}>
+              {ritualMinuteLabel(mean, dayStartHour)}
+            </span>
+          </div>
+        );
+      })}
+      <div style={{ display: "flex", padding: "4px 48px 0 26px", fontSize: 8, color: "rgba(255,255,255,0.15)" }}>
+        {ticks.map((t, i) => <span key={i} style={{ flex: 1 }}>{t}</span>)}
+      </div>
+      {backfilled > 0 && (
+        <p style={{ margin: "8px 0 0", fontSize: 9, color: "rgba(255,255,255,0.2)", letterSpacing: "0.08em" }}>
+          {backfilled} BACKFILLED {backfilled === 1 ? "LOG" : "LOGS"} NOT INCLUDED
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Today's entries in the order they happened, as one scrollable strip.
+function TodayTimeline({ dayLogs, categories, onOpen }) {
+  const entries = Object.entries(dayLogs || {})
+    .map(([key, value]) => ({ key, ts: entryTs(value), ...parseLogKey(key) }))
+    .sort((a, b) => a.ts - b.ts);
+  if (!entries.length) return null;
+  return (
+    <div
+      role="list"
+      aria-label="Today's timeline"
+      style={{ marginTop: 10, maxWidth: 340, width: "100%", padding: "0 24px", display: "flex", gap: 6, overflowX: "auto", scrollbarWidth: "none" }}
+    >
+      {entries.map(({ key, ts, catId, orbId }) => {
+        const cat = categories.find(c => c.id === catId);
+        return (
+          <button
+            key={key}
+            role="listitem"
+            onClick={onOpen}
+            style={{
+              flexShrink: 0, display: "flex", alignItems: "center", gap: 5,
+              padding: "4px 9px", borderRadius: 14, cursor: "pointer",
+              background: "rgba(255,255,255,0.03)", border: `1px solid ${cat ? `rgba(${cat.neon},0.25)` : "rgba(255,255,255,0.06)"}`,
+              color: "rgba(255,255,255,0.5)", fontSize: 9, letterSpacing: "0.06em", whiteSpace: "nowrap",
+            }}
+          >
+            <span style={{ color: "rgba(255,255,255,0.3)" }}>{toTimeInput(ts)}</span>
+            {cat?.emoji} {orbitalLabel(categories, catId, orbId)}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── BOTTOM SHEET ────────────────────────────────────────────────────────────
+// Shared slide-up shell for Settings and the other full-width panels.
+function BottomSheet({ title, onClose, children }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      style={{ position: "fixed", inset: 0, zIndex: 100, background: "rgba(0,0,0,0.75)", backdropFilter: "blur(8px)", display: "flex", alignItems: "flex-end" }}
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: "100%" }}
+        animate={{ y: 0 }}
+        exit={{ y: "100%" }}
+        transition={{ type: "spring", damping: 30, stiffness: 300 }}
+        onClick={e => e.stopPropagation()}
+        style={{
+          background: "#0c0c18",
+          borderTop: "1px solid rgba(255,255,255,0.08)",
+          borderRadius: "24px 24px 0 0",
+          width: "100%", maxHeight: "82vh", overflowY: "auto",
+          padding: "24px 20px 40px",
+        }}
+      >
+        <div style={{ width: 36, height: 4, background: "rgba(255,255,255,0.15)", borderRadius: 2, margin: "0 auto 20px" }} />
+
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 24 }}>
+          <span style={{ fontSize: 13, letterSpacing: "0.2em", color: "rgba(255,255,255,0.6)" }}>{title}</span>
+          <button onClick={onClose} style={{ background: "rgba(255,255,255,0.06)", border: "none", borderRadius: 8, padding: "6px 8px", cursor: "pointer", color: "rgba(255,255,255,0.4)" }}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {children}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// ─── QUICK ADD ───────────────────────────────────────────────────────────────
+// Amount picker for orbitals with a unit: the unit's quick amounts plus a
+// free field for anything else.
+function QuickAmounts({ unit, color, onPick }) {
+  const [custom, setCustom] = useState("");
+  const value = Number(custom);
+  const valid = Number.isFinite(value) && value > 0;
+  const buttonStyle = {
+    padding: "7px 12px", borderRadius: 16, cursor: "pointer", fontSize: 11,
+    background: "rgba(255,255,255,0.04)", border: `1px solid ${color}50`,
+    color: "rgba(255,255,255,0.75)", letterSpacing: "0.06em",
+  };
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6 }}>
+      {unit.quick.map(n => (
+        <button key={n} onClick={() => onPick(n)} style={buttonStyle}>+{formatAmount(n, unit)}</button>
+      ))}
+      <form
+        onSubmit={e => { e.preventDefault(); if (valid) onPick(value); }}
+        style={{ display: "flex", gap: 6, alignItems: "center" }}
+      >
+        <input
+          type="number"
+          min={0}
+          step="any"
+          inputMode="decimal"
+          placeholder={unit.label.toLowerCase()}
+          aria-label={`Amount in ${unit.label.toLowerCase()}`}
+          value={custom}
+          onChange={e => setCustom(e.target.value)}
+          style={{ ...settingsInputStyle(color), width: 78, padding: "6px 8px" }}
+        />
+        <button type="submit" disabled={!valid} style={{ ...buttonStyle, opacity: valid ? 1 : 0.4, cursor: valid ? "pointer" : "default" }}>ADD</button>
+      </form>
+    </div>
+  );
+}
+
+// ─── FOCUS TIMER ─────────────────────────────────────────────────────────────
+// A timed session started from an orbital (long-press it, or T when it has
+// focus). The session is plain data, persisted as the "timer" config:
+//   { id, catId, orbId, mode: "countdown" | "stopwatch", targetMs,
+//     startedAt, elapsedMs }
+// `startedAt` is null while paused and `elapsedMs` holds the time run before
+// the current stretch, so the clock is always derived from Date.now() and
+// keeps counting through backgrounding and reloads.
+const TIMER_PRESETS = [5, 10, 15, 20, 30, 45, 60];   // countdown minutes
+
+const timerElapsed = (timer, now) => timer.elapsedMs + (timer.startedAt ? now - timer.startedAt : 0);
+
+// Milliseconds as "4:05" or "1:04:05", rounding up so a countdown only
+// shows 0:00 once it's done.
+const formatClock = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600), m = Math.floor(total % 3600 / 60), s = total % 60;
+  const ss = String(s).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+};
+
+function TimerSetup({ cat, orb, onStart, onClose }) {
+  const [mode, setMode]       = useState("countdown");
+  const [minutes, setMinutes] = useState(10);
+  const chip = (active) => ({
+    padding: "6px 12px", borderRadius: 16, cursor: "pointer", fontSize: 10, letterSpacing: "0.1em",
+    background: active ? `${cat.color}30` : "rgba(255,255,255,0.04)",
+    border: `1px solid ${active ? cat.color : "rgba(255,255,255,0.08)"}`,
+    color: active ? "rgba(255,255,255,0.85)" : "rgba(255,255,255,0.4)",
+  });
+  return (
+    <>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 10, fontSize: 10, letterSpacing: "0.12em", color: "rgba(255,255,255,0.5)" }}>
+        <span style={{ flex: 1 }}>{orb.label.toUpperCase()} · TIMER</span>
+        <button onClick={onClose} aria-label="Close" style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: 4 }}>
+          <X size={14} />
+        </button>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 10 }}>
+        <button onClick={() => setMode("countdown")} style={chip(mode === "countdown")}>COUNTDOWN</button>
+        <button onClick={() => setMode("stopwatch")} style={chip(mode === "stopwatch")}>STOPWATCH</button>
+      </div>
+      {mode === "countdown" && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 10 }}>
+          {TIMER_PRESETS.map(n => (
+            <button key={n} onClick={() => setMinutes(n)} style={chip(minutes === n)}>{n}m</button>
+          ))}
+        </div>
+      )}
+      <button
+        onClick={() => onStart(mode, minutes)}
+        style={{
+          width: "100%", padding: "10px", borderRadius: 10, cursor: "pointer", fontSize: 11, letterSpacing: "0.16em",
+          background: `${cat.color}30`, border: `1px solid ${cat.color}80`, color: "rgba(255,255,255,0.85)",
+        }}
+      >
+        START {mode === "countdown" ? `${minutes} MIN` : "STOPWATCH"}
+      </button>
+    </>
+  );
+}
+
+// The running session, pinned above every view.
+function TimerBar({ timer, cat, label, now, onPause, onResume, onFinish, onCancel }) {
+  const elapsed  = timerElapsed(timer, now);
+  const progress = timer.targetMs ? Math.min(1, elapsed / timer.targetMs) : null;
+  const paused   = !timer.startedAt;
+  const buttonStyle = {
+    background: "rgba(255,255,255,0.08)", border: "none", borderRadius: 8, padding: "6px 10px",
+    cursor: "pointer", color: "rgba(255,255,255,0.75)", fontSize: 10, letterSpacing: "0.12em",
+  };
+  return (
+    <motion.div
+      role="timer"
+      aria-label={`${label} ${timer.targetMs ? "countdown" : "stopwatch"}${paused ? ", paused" : ""}`}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 20 }}
+      style={{
+        position: "fixed", left: 16, right: 16, bottom: "calc(env(safe-area-inset-bottom, 0px) + 16px)", zIndex: 55,
+        background: "#0c0c18", border: `1px solid rgba(${cat.neon},0.35)`, borderRadius: 12, overflow: "hidden",
+        boxShadow: `0 0 24px rgba(${cat.neon},0.15)`,
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: 10, padding: "10px 12px 10px 14px" }}>
+        <div style={{ width: 8, height: 8, borderRadius: "50%", background: cat.color, flexShrink: 0, opacity: paused ? 0.4 : 1 }} />
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 9, color: "rgba(255,255,255,0.35)", letterSpacing: "0.12em", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+            {label.toUpperCase()}{paused ? " · PAUSED" : ""}
+          </div>
+          <div style={{ fontSize: 18, color: "rgba(255,255,255,0.85)", fontWeight: "bold", letterSpacing: "0.06em" }}>
+            {formatClock(timer.targetMs ? timer.targetMs - elapsed : elapsed)}
+          </div>
+        </div>
+        <button onClick={paused ? onResume : onPause} style={buttonStyle}>{paused ? "RESUME" : "PAUSE"}</button>
+        <button onClick={onFinish} style={buttonStyle}>DONE</button>
+        <button onClick={onCancel} aria-label="Cancel session" style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: 4 }}>
+          <X size={14} />
+        </button>
+      </div>
+      {progress !== null && (
+        <div style={{ height: 2, background: "rgba(255,255,255,0.05)" }}>
+          <div style={{ height: "100%", width: `${progress * 100}%`, background: cat.color }} />
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+// Completion flourish: a ring of the category's colour blooming out from
+// the middle of the screen.
+function TimerCelebration({ cat, onDone }) {
+  return (
+    <motion.div
+      aria-hidden="true"
+      initial={{ opacity: 0.9, scale: 0.3 }}
+      animate={{ opacity: 0, scale: 2.2 }}
+      transition={{ duration: 1.4, ease: "easeOut" }}
+      onAnimationComplete={onDone}
+      style={{
+        position: "fixed", left: "50%", top: "45%", width: 240, height: 240, marginLeft: -120, marginTop: -120,
+        borderRadius: "50%", zIndex: 70, pointerEvents: "none",
+        border: `3px solid ${cat.color}`,
+        background: `radial-gradient(circle, rgba(${cat.neon},0.35) 0%, rgba(${cat.neon},0.08) 55%, transparent 70%)`,
+        boxShadow: `0 0 40px rgba(${cat.neon},0.6), inset 0 0 40px rgba(${cat.neon},0.4)`,
+      }}
+    />
+  );
+}
+
+// ─── DAY DETAIL ──────────────────────────────────────────────────────────────
+// "HH:MM" for an <input type="time"> from a stored timestamp.
+const toTimeInput = (ts) => {
+  const d = new Date(ts);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+};
+
+// Timestamp for `hhmm` within the ritual day `dateStr` (both local time).
+// Times before `dayStartHour` fall after midnight, on the next calendar day.
+const fromTimeInput = (dateStr, hhmm, dayStartHour = 0) => {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const [hh, mm]  = hhmm.split(":").map(Number);
+  return new Date(y, m - 1, hh < dayStartHour ? d + 1 : d, hh, mm).getTime();
+};
+
+// `editKey` opens that entry's note editor straight away (from the toast).
+function DayDetailSheet({ date, today, dayStartHour, logs, categories, pastCategories = [], skips, editKey, onLog, onDelete, onSetTime, onSetNote, onOpenJournal, onToggleSkip, onClose }) {
+  const [pickCat, setPickCat] = useState(null);
+  const [pickOrb, setPickOrb] = useState(null);    // orbital with a unit awaiting an amount
+  const [editing, setEditing] = useState(editKey || null);   // entry key whose note is open
+  const dayLogs = logs[date] || {};
+  const entries = Object.entries(dayLogs)
+    .map(([key, value]) => ({ key, value, ts: entryTs(value), backfilled: entryBackfill(value).count, ...parseLogKey(key) }))
+    .sort((a, b) => a.ts - b.ts);
+  const canLog  = date <= today;
+  const known   = [...categories, ...pastCategories];   // entries may belong to removed categories
+  const picked  = categories.find(c => c.id === pickCat);
+  const pickedOrb  = picked?.orbitals.find(o => o.id === pickOrb);
+  const pickedUnit = findUnit(pickedOrb?.unit);
+  const [y, m, d] = date.split("-").map(Number);
+  const title = new Date(y, m - 1, d).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" }).toUpperCase();
+
+  return (
+    <BottomSheet title={title} onClose={onClose}>
+      {entries.length === 0 && (
+        <p style={{ fontSize: 11, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", textAlign: "center", padding: "12px 0" }}>
+          NOTHING LOGGED
+        </p>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {entries.map(({ key, value, ts, backfilled, catId }) => {
+          const cat = known.find(c => c.id === catId);
+          const color = cat?.color || "#98989d";
+          const note  = entryNote(value);
+          const mood  = entryMood(value);
+          return (
+            <div
+              key={key}
+              style={{
+                background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.05)",
+                borderRadius: 10, padding: "8px 10px 8px 14px",
+              }}
+            >
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                <div style={{ width: 8, height: 8, borderRadius: "50%", background: color, flexShrink: 0 }} />
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: 12, color: "rgba(255,255,255,0.7)", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {entrySummary(known, key, value)}
+                  </div>
+                  <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.08em" }}>
+                    {(cat?.label || catId).split("/")[0].toUpperCase()}
+                    {backfilled > 0 && (
+                      <span style={{ marginLeft: 6, color: "rgba(255,214,10,0.5)" }}>
+                        {isBackfilled(value) ? "BACKFILLED" : `${backfilled}× BACKFILLED`}
+                      </span>
+                    )}
+                    {mood && <span style={{ marginLeft: 6, color: "rgba(255,255,255,0.45)" }}>{moodLabel(mood)}</span>}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setEditing(editing === key ? null : key)}
+                  aria-label={note || mood ? "Edit note" : "Add note"}
+                  aria-expanded={editing === key}
+                  style={{ background: "none", border: "none", cursor: "pointer", color: note || mood ? color : "rgba(255,255,255,0.3)", display: "flex", padding: "4px" }}
+                >
+                  <PenLine size={14} />
+                </button>
+                <input
+                  type="time"
+                  value={toTimeInput(ts)}
+                  onChange={e => e.target.value && onSetTime(date, key, fromTimeInput(date, e.target.value, dayStartHour))}
+                  style={{ ...settingsInputStyle(color), padding: "6px 8px", colorScheme: "dark" }}
+                />
+                <button
+                  onClick={() => onDelete(date, key)}
+                  style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,80,70,0.6)", display: "flex", padding: "4px" }}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              {note && editing !== key && (
+                <p style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", lineHeight: 1.5, margin: "6px 0 2px 18px", whiteSpace: "pre-wrap", userSelect: "text", WebkitUserSelect: "text" }}>
+                  {note}
+                </p>
+              )}
+              {editing === key && (
+                <EntryNoteEditor
+                  value={value}
+                  color={color}
+                  onSave={patch => { onSetNote(date, key, patch); setEditing(null); }}
+                  onCancel={() => setEditing(null)}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={() => onOpenJournal(date)}
+        style={{
+          marginTop: 14, width: "100%", padding: "10px", borderRadius: 10, cursor: "pointer",
+          background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+          color: "rgba(255,255,255,0.5)", fontSize: 10, letterSpacing: "0.14em",
+          display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
+        }}
+      >
+        <BookOpen size={13} /> JOURNAL
+      </button>
+
+      {/* Tap a category to skip it on this day; OFF ones follow their schedule */}
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>SCHEDULE · TAP TO SKIP</p>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+        {categories.map(cat => {
+          const off     = !isScheduled(cat, date);
+          const skipped = !off && !isScheduled(cat, date, skips);
+          return (
+            <button
+              key={cat.id}
+              onClick={() => onToggleSkip(date, cat.id)}
+              disabled={off}
+              aria-pressed={skipped}
+              aria-label={`${cat.label}: ${off ? "not scheduled" : skipped ? "skipped" : "scheduled"}`}
+              style={{
+                padding: "6px 10px", borderRadius: 16, cursor: off ? "default" : "pointer", fontSize: 10, letterSpacing: "0.08em",
+                background: off || skipped ? "transparent" : `${cat.color}20`,
+                border: `1px ${off || skipped ? "dashed" : "solid"} ${off ? "rgba(255,255,255,0.1)" : `${cat.color}${skipped ? "50" : "80"}`}`,
+                color: off ? "rgba(255,255,255,0.2)" : "rgba(255,255,255,0.6)",
+                display: "flex", alignItems: "center", gap: 5,
+              }}
+            >
+              <span style={{ opacity: off || skipped ? 0.4 : 1 }}>{cat.emoji}</span>
+              {off ? "OFF" : skipped ? "SKIP" : "ON"}
+            </button>
+          );
+        })}
+      </div>
+
+      {canLog && (
+        <>
+          <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>ADD ENTRY</p>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {categories.map(cat => (
+              <button
+                key={cat.id}
+                onClick={() => { setPickCat(pickCat === cat.id ? null : cat.id); setPickOrb(null); }}
+                style={{
+                  width: 38, height: 38, borderRadius: "50%", cursor: "pointer", fontSize: 15,
+                  background: pickCat === cat.id ? `${cat.color}40` : "rgba(255,255,255,0.03)",
+                  border: `1px solid ${pickCat === cat.id ? cat.color : `${cat.color}30`}`,
+                  display: "flex", alignItems: "center", justifyContent: "center",
+                }}
+              >
+                {cat.emoji}
+              </button>
+            ))}
+          </div>
+          {picked && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 }}>
+              {picked.orbitals.map(orb => {
+                const logged = dayLogs[`${picked.id}:${orb.id}`] !== undefined;
+                return (
+                  <button
+                    key={orb.id}
+                    onClick={() => findUnit(orb.unit) ? setPickOrb(pickOrb === orb.id ? null : orb.id) : onLog(date, picked.id, orb.id)}
+                    aria-expanded={findUnit(orb.unit) ? pickOrb === orb.id : undefined}
+                    style={{
+                      padding: "7px 12px", borderRadius: 16, cursor: "pointer", fontSize: 11,
+                      background: logged ? `${picked.color}30` : "rgba(255,255,255,0.04)",
+                      border: `1px solid rgba(${picked.neon},${logged ? 0.6 : 0.25})`,
+                      color: "rgba(255,255,255,0.7)", letterSpacing: "0.06em",
+                      display: "flex", alignItems: "center", gap: 5,
+                    }}
+                  >
+                    {logged && <Check size={11} color={picked.color} />}
+                    {logged ? entrySummary(categories, `${picked.id}:${orb.id}`, dayLogs[`${picked.id}:${orb.id}`]) : orb.label}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          {pickedUnit && (
+            <div style={{ marginTop: 10 }}>
+              <QuickAmounts key={pickedOrb.id} unit={pickedUnit} color={picked.color} onPick={n => { onLog(date, picked.id, pickedOrb.id, n); setPickOrb(null); }} />
+            </div>
+          )}
+        </>
+      )}
+    </BottomSheet>
+  );
+}
+
+// ─── JOURNAL ─────────────────────────────────────────────────────────────────
+// Notes and mood ratings attached to log entries (see withEntryNote), for
+// prompts like "Reflection" or "Write".
+const MOOD_LABELS = ["DRAINED", "LOW", "STEADY", "GOOD", "GREAT"];
+
+const moodLabel = (mood) => `${"●".repeat(mood)}${"○".repeat(5 - mood)} ${MOOD_LABELS[mood - 1]}`;
+
+const NOTE_MAX_LENGTH = 1000;
+
+// Note and mood for one entry. Saving with both empty clears them.
+function EntryNoteEditor({ value, color, onSave, onCancel }) {
+  const [note, setNote] = useState(() => entryNote(value));
+  const [mood, setMood] = useState(() => entryMood(value));
+  const buttonStyle = {
+    padding: "6px 12px", borderRadius: 8, cursor: "pointer", fontSize: 10, letterSpacing: "0.12em",
+    background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.08)", color: "rgba(255,255,255,0.6)",
+  };
+  return (
+    <div style={{ marginTop: 8, display: "flex", flexDirection: "column", gap: 8 }}>
+      <textarea
+        value={note}
+        autoFocus
+        rows={3}
+        maxLength={NOTE_MAX_LENGTH}
+        placeholder="A line or two…"
+        onChange={e => setNote(e.target.value)}
+        style={{ ...settingsInputStyle(color), width: "100%", resize: "vertical", fontFamily: "'Space Mono', monospace", fontSize: 11, lineHeight: 1.5 }}
+      />
+      <div role="radiogroup" aria-label="Mood" style={{ display: "flex", gap: 4 }}>
+        {MOOD_LABELS.map((label, i) => (
+          <button
+            key={label}
+            role="radio"
+            aria-checked={mood === i + 1}
+            onClick={() => setMood(mood === i + 1 ? null : i + 1)}
+            style={{
+              flex: 1, padding: "6px 0", borderRadius: 8, cursor: "pointer", fontSize: 8, letterSpacing: "0.08em",
+              background: mood === i + 1 ? `${color}30` : "rgba(255,255,255,0.03)",
+              border: `1px solid ${mood === i + 1 ? color : "rgba(255,255,255,0.06)"}`,
+              color: mood === i + 1 ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.3)",
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+        <button onClick={onCancel} style={buttonStyle}>CANCEL</button>
+        <button onClick={() => onSave({ note, mood })} style={{ ...buttonStyle, color: "rgba(255,255,255,0.85)", borderColor: `${color}60` }}>SAVE</button>
+      </div>
+    </div>
+  );
+}
+
+// Every entry with a note or mood, newest first. `query` matches the note
+// and the orbital and category labels, case-insensitively.
+const journalEntries = (logs, categories, query = "") => {
+  const q = query.trim().toLowerCase();
+  const rows = [];
+  Object.keys(logs).sort().reverse().forEach(date => {
+    Object.entries(logs[date])
+      .filter(([, value]) => entryNote(value) || entryMood(value))
+      .sort((a, b) => entryTs(a[1]) - entryTs(b[1]))
+      .forEach(([key, value]) => {
+        const { catId, orbId } = parseLogKey(key);
+        const cat   = categories.find(c => c.id === catId);
+        const label = orbitalLabel(categories, catId, orbId);
+        if (q && ![entryNote(value), label, cat?.label || ""].some(s => s.toLowerCase().includes(q))) return;
+        rows.push({ date, key, value, cat, label });
+      });
+  });
+  return rows;
+};
+
+// Searchable journal. Opened from a day in the history, that day (or the
+// nearest earlier one with notes) is scrolled into view; tapping a date goes
+// back to its day sheet.
+function JournalSheet({ logs, categories, focusDate, onSelectDay, onClose }) {
+  const [query, setQuery] = useState("");
+  const rows   = journalEntries(logs, categories, query);
+  const dates  = [...new Set(rows.map(r => r.date))];
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!focusDate) return;
+    const target = [...(listRef.current?.querySelectorAll("[data-date]") || [])].find(el => el.dataset.date <= focusDate);
+    target?.scrollIntoView({ block: "start" });
+  }, [focusDate]);
+
+  return (
+    <BottomSheet title="JOURNAL" onClose={onClose}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search notes"
+        aria-label="Search notes"
+        onChange={e => setQuery(e.target.value)}
+        style={{ ...settingsInputStyle("#ffffff"), width: "100%", marginBottom: 16 }}
+      />
+      {!rows.length && (
+        <p style={{ fontSize: 11, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", textAlign: "center", padding: "12px 0" }}>
+          {query.trim() ? "NO MATCHING NOTES" : "NO NOTES YET — ADD ONE FROM A DAY'S ENTRIES"}
+        </p>
+      )}
+      <div ref={listRef} style={{ display: "flex", flexDirection: "column", gap: 18 }}>
+        {dates.map(date => (
+          <div key={date} data-date={date}>
+            <button
+              onClick={() => onSelectDay(date)}
+              style={{ background: "none", border: "none", padding: 0, cursor: "pointer", color: date === focusDate ? "rgba(255,255,255,0.6)" : "rgba(255,255,255,0.3)", fontSize: 10, letterSpacing: "0.15em", marginBottom: 8 }}
+            >
+              {shortDate(date)} {date.slice(0, 4)} ›
+            </button>
+            <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+              {rows.filter(r => r.date === date).map(r => (
+                <div key={r.key} style={{ borderLeft: `2px solid ${r.cat?.color || "#98989d"}`, paddingLeft: 10 }}>
+                  <div style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", letterSpacing: "0.1em" }}>
+                    {r.cat?.emoji} {r.label.toUpperCase()} · {toTimeInput(entryTs(r.value))}
+                    {entryMood(r.value) && <span style={{ marginLeft: 6, color: "rgba(255,255,255,0.45)" }}>{moodLabel(entryMood(r.value))}</span>}
                   </div>
-                </motion.div>
+                  {entryNote(r.value) && (
+                    <p style={{ fontSize: 12, color: "rgba(255,255,255,0.65)", lineHeight: 1.6, marginTop: 3, whiteSpace: "pre-wrap", userSelect: "text", WebkitUserSelect: "text" }}>
+                      {entryNote(r.value)}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </BottomSheet>
+  );
+}
+
+// ─── SETTINGS PANEL ──────────────────────────────────────────────────────────
+const MAX_CATEGORIES = 12;
+const MAX_ORBITALS   = 8;
+
+const settingsInputStyle = (color) => ({
+  background: "rgba(255,255,255,0.04)", border: `1px solid ${color}30`,
+  borderRadius: 8, padding: "8px 12px", fontSize: 12,
+  color: "rgba(255,255,255,0.7)", outline: "none",
+});
+
+// Compact "N /WK" field; empty or zero means no goal.
+function GoalInput({ value, color, onChange }) {
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 9, color: "rgba(255,255,255,0.25)", flexShrink: 0 }}>
+      <input
+        type="number"
+        min={0}
+        max={50}
+        inputMode="numeric"
+        placeholder="–"
+        value={value || ""}
+        onChange={e => onChange(Math.max(0, Math.min(50, parseInt(e.target.value, 10) || 0)))}
+        style={{ ...settingsInputStyle(color), width: 42, padding: "6px 4px", textAlign: "center" }}
+      />
+      /WK
+    </label>
+  );
+}
+
+// Start/end pair for a category's reminder window. Setting either end fills
+// in a one-hour window; the X clears it.
+function ReminderWindowInput({ value, color, onChange }) {
+  const timeStyle = { ...settingsInputStyle(color), width: 74, padding: "6px 4px", textAlign: "center", colorScheme: "dark" };
+  const set = (patch) => {
+    const next = { start: value?.start || "09:00", end: value?.end || "10:00", ...patch };
+    onChange(next.start && next.end ? next : undefined);
+  };
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 4, flexShrink: 0 }}>
+      <input type="time" value={value?.start || ""} onChange={e => set({ start: e.target.value })} style={timeStyle} />
+      –
+      <input type="time" value={value?.end || ""} onChange={e => set({ end: e.target.value })} style={timeStyle} />
+      <button
+        onClick={() => onChange(undefined)}
+        disabled={!value}
+        style={{ background: "none", border: "none", cursor: value ? "pointer" : "default", color: "rgba(255,255,255,0.3)", opacity: value ? 1 : 0.25, display: "flex", padding: "4px" }}
+      >
+        <X size={13} />
+      </button>
+    </div>
+  );
+}
+
+const SCHEDULE_MODES = [
+  { value: "daily", label: "DAILY" },
+  { value: "days",  label: "WEEKDAYS" },
+  { value: "every", label: "EVERY N" },
+];
+
+// Category schedule editor (see SCHEDULES): which days, plus off ranges.
+// Weekday toggles follow `weekStart` but store Sunday-based indexes.
+function ScheduleInput({ value, color, weekStart, today, onChange }) {
+  const mode = Array.isArray(value?.days) ? "days" : value?.every ? "every" : "daily";
+  const off  = value?.off || [];
+  const dateStyle = { ...settingsInputStyle(color), flex: 1, minWidth: 0, padding: "6px 4px", fontSize: 10, colorScheme: "dark" };
+  const set = (patch) => {
+    const next = { ...value, ...patch };
+    Object.keys(next).forEach(k => { if (next[k] === undefined) delete next[k]; });
+    if (!next.off?.length) delete next.off;
+    onChange(Object.keys(next).length ? next : undefined);
+  };
+  const setMode = (m) => set({
+    days:   m === "days" ? value?.days || [1, 2, 3, 4, 5] : undefined,
+    every:  m === "every" ? value?.every || 2 : undefined,
+    anchor: m === "every" ? value?.anchor || today : undefined,
+  });
+  const setOff = (i, patch) => set({ off: off.map((r, j) => j === i ? { ...r, ...patch } : r) });
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      <OptionButtons options={SCHEDULE_MODES} value={mode} onChange={setMode} />
+      {mode === "days" && (
+        <div style={{ display: "flex", gap: 4 }}>
+          {weekdayLabels(weekStart).map((label, i) => {
+            const day = (weekStart + i) % 7;
+            const on  = value.days.includes(day);
+            return (
+              <button
+                key={label}
+                aria-pressed={on}
+                onClick={() => set({ days: on ? value.days.filter(d => d !== day) : [...value.days, day].sort() })}
+                style={{
+                  flex: 1, padding: "6px 0", borderRadius: 8, cursor: "pointer", fontSize: 9, letterSpacing: "0.06em",
+                  background: on ? `${color}30` : "rgba(255,255,255,0.03)",
+                  border: `1px solid ${on ? color : "rgba(255,255,255,0.06)"}`,
+                  color: on ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.3)",
+                }}
+              >
+                {label.toUpperCase()}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {mode === "every" && (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em" }}>
+          EVERY N DAYS FROM {value.anchor}
+          <input
+            type="number"
+            min={2}
+            max={30}
+            value={value.every}
+            aria-label="Every how many days"
+            onChange={e => set({ every: Math.min(30, Math.max(2, Number(e.target.value) || 2)) })}
+            style={{ ...settingsInputStyle(color), width: 54, padding: "6px 4px", textAlign: "center" }}
+          />
+        </div>
+      )}
+      {off.map((r, i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 9, color: "rgba(255,255,255,0.25)" }}>
+          OFF
+          <input type="date" value={r.from} aria-label="Off from" onChange={e => e.target.value && setOff(i, { from: e.target.value })} style={dateStyle} />
+          –
+          <input type="date" value={r.to || r.from} aria-label="Off until" onChange={e => e.target.value && setOff(i, { to: e.target.value })} style={dateStyle} />
+          <button
+            onClick={() => set({ off: off.filter((_, j) => j !== i) })}
+            style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: "4px" }}
+          >
+            <X size={13} />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => set({ off: [...off, { from: today, to: today }] })}
+        style={{
+          padding: "6px", borderRadius: 8, background: "transparent",
+          border: `1px dashed ${color}30`, color: "rgba(255,255,255,0.3)",
+          fontSize: 9, letterSpacing: "0.12em", cursor: "pointer",
+          display: "flex", alignItems: "center", justifyContent: "center", gap: 5,
+        }}
+      >
+        <Plus size={10} /> ADD DAYS OFF
+      </button>
+    </div>
+  );
+}
+
+const DAY_START_HOURS = [0, 1, 2, 3, 4, 5, 6];
+const WEEK_START_DAYS = [1, 0, 6];   // Monday, Sunday, Saturday
+
+// Row of mutually exclusive choices for a single setting.
+function OptionButtons({ options, value, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: 6 }}>
+      {options.map(opt => (
+        <button
+          key={opt.value}
+          onClick={() => onChange(opt.value)}
+          style={{
+            flex: 1, padding: "8px 0", borderRadius: 8, cursor: "pointer", fontSize: 12,
+            background: value === opt.value ? "rgba(255,255,255,0.1)" : "rgba(255,255,255,0.03)",
+            border: `1px solid ${value === opt.value ? "rgba(255,255,255,0.2)" : "rgba(255,255,255,0.05)"}`,
+            color: value === opt.value ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.3)",
+          }}
+        >
+          {opt.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Global reminder switches: permission, on/off, evening summary and quiet
+// hours. Per-category windows live in each expanded CategoryRow.
+function ReminderSettings({ prefs, onChange }) {
+  const supported = notificationsSupported();
+  const [permission, setPermission] = useState(() => supported ? Notification.permission : "unsupported");
+  const timeStyle = { ...settingsInputStyle("#ffffff"), width: 84, padding: "6px 4px", textAlign: "center", colorScheme: "dark" };
+  const rowStyle  = { display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: 10, color: "rgba(255,255,255,0.35)", letterSpacing: "0.1em" };
+
+  const toggle = async () => {
+    if (prefs.enabled) return onChange({ enabled: false });
+    let result = permission;
+    if (result === "default") {
+      result = await Notification.requestPermission();
+      setPermission(result);
+    }
+    if (result === "granted") onChange({ enabled: true });
+  };
+
+  const status = {
+    unsupported: "This browser can't show notifications.",
+    denied:      "Notifications are blocked — allow them in the browser's site settings.",
+    default:     "You'll be asked for permission when turning reminders on.",
+    granted:     "Reminders only fire while the app is open or running in the background.",
+  }[permission];
+
+  return (
+    <>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>REMINDERS</p>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        <div style={rowStyle}>
+          NOTIFY ME
+          <button
+            onClick={toggle}
+            disabled={!supported || permission === "denied"}
+            style={{
+              padding: "6px 14px", borderRadius: 8, fontSize: 11, letterSpacing: "0.1em",
+              cursor: supported && permission !== "denied" ? "pointer" : "default",
+              background: prefs.enabled ? "rgba(48,209,88,0.15)" : "rgba(255,255,255,0.03)",
+              border: `1px solid ${prefs.enabled ? "rgba(48,209,88,0.4)" : "rgba(255,255,255,0.08)"}`,
+              color: prefs.enabled ? "#30d158" : "rgba(255,255,255,0.4)",
+            }}
+          >
+            {prefs.enabled ? "ON" : "OFF"}
+          </button>
+        </div>
+        {prefs.enabled && (
+          <>
+            <div style={rowStyle}>
+              EVENING SUMMARY
+              <input type="time" value={prefs.summaryTime} onChange={e => onChange({ summaryTime: e.target.value })} style={timeStyle} />
+            </div>
+            <div style={rowStyle}>
+              QUIET HOURS
+              <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                <input type="time" value={prefs.quietStart} onChange={e => onChange({ quietStart: e.target.value })} style={timeStyle} />
+                –
+                <input type="time" value={prefs.quietEnd} onChange={e => onChange({ quietEnd: e.target.value })} style={timeStyle} />
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", marginTop: 6, lineHeight: 1.5 }}>
+        {status} Set a window on a category to be nudged when it passes with nothing logged.
+      </p>
+    </>
+  );
+}
+
+// Status fields shown in Settings, from the persisted sync state.
+const syncSummary = (state) => ({ lastSyncAt: state.lastSyncAt, lastError: state.lastError, pending: pendingCount(state) });
+
+// Server URL, optional token, on/off and status for sync.js.
+function SyncSettings({ prefs, status, onChange, onSyncNow }) {
+  const rowStyle = { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10, fontSize: 10, color: "rgba(255,255,255,0.35)", letterSpacing: "0.1em" };
+  const canSync  = prefs.enabled && !!prefs.url;
+
+  let line;
+  if (!prefs.url)             line = "Point this at a server started with `npm run sync-server` to share logs between devices.";
+  else if (status.busy)       line = "Syncing…";
+  else if (status.lastError)  line = `Last attempt failed: ${status.lastError}`;
+  else if (status.lastSyncAt) line = `Last synced ${new Date(status.lastSyncAt).toLocaleString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}.`;
+  else                        line = "Not synced yet.";
+  if (prefs.url && status.pending) line += ` ${status.pending} change${status.pending === 1 ? "" : "s"} waiting.`;
+
+  return (
+    <>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>SYNC</p>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        <input
+          type="url"
+          inputMode="url"
+          placeholder="http://192.168.1.20:8787"
+          value={prefs.url}
+          onChange={e => onChange({ url: e.target.value.trim() })}
+          style={{ ...settingsInputStyle("#ffffff"), width: "100%" }}
+        />
+        <input
+          type="password"
+          placeholder="Token (optional)"
+          autoComplete="off"
+          value={prefs.token}
+          onChange={e => onChange({ token: e.target.value })}
+          style={{ ...settingsInputStyle("#ffffff"), width: "100%" }}
+        />
+        <div style={rowStyle}>
+          <button
+            onClick={() => onChange({ enabled: !prefs.enabled })}
+            disabled={!prefs.url}
+            style={{
+              padding: "6px 14px", borderRadius: 8, fontSize: 11, letterSpacing: "0.1em",
+              cursor: prefs.url ? "pointer" : "default", opacity: prefs.url ? 1 : 0.4,
+              background: prefs.enabled ? "rgba(48,209,88,0.15)" : "rgba(255,255,255,0.03)",
+              border: `1px solid ${prefs.enabled ? "rgba(48,209,88,0.4)" : "rgba(255,255,255,0.08)"}`,
+              color: prefs.enabled ? "#30d158" : "rgba(255,255,255,0.4)",
+            }}
+          >
+            {prefs.enabled ? "ON" : "OFF"}
+          </button>
+          <button
+            onClick={onSyncNow}
+            disabled={!canSync || status.busy}
+            style={{
+              flex: 1, padding: "6px 14px", borderRadius: 8, fontSize: 11, letterSpacing: "0.1em",
+              cursor: canSync && !status.busy ? "pointer" : "default", opacity: canSync ? 1 : 0.4,
+              background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)", color: "rgba(255,255,255,0.5)",
+              display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
+            }}
+          >
+            <RefreshCw size={11} /> SYNC NOW
+          </button>
+        </div>
+      </div>
+      <p style={{ fontSize: 9, color: status.lastError && prefs.url ? "rgba(255,80,70,0.7)" : "rgba(255,255,255,0.2)", marginTop: 6, lineHeight: 1.5 }}>
+        {line}
+      </p>
+    </>
+  );
+}
+
+// One draggable category row. Dragging is limited to the grip handle so the
+// text inputs inside the row stay usable on touch screens.
+function CategoryRow({ cat, orbs, expanded, canRemove, weekStart, today, onToggle, onChange, onOrbitalChange, onOrbitalAdd, onOrbitalRemove, onRemove }) {
+  const dragControls = useDragControls();
+  return (
+    <Reorder.Item as="div" value={cat} dragListener={false} dragControls={dragControls} style={{ marginBottom: 6, position: "relative" }}>
+      <div
+        style={{
+          display: "flex", alignItems: "center", gap: 8, width: "100%",
+          background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.05)",
+          borderRadius: 10, padding: "6px 8px", color: "white",
+        }}
+      >
+        <div
+          onPointerDown={e => dragControls.start(e)}
+          style={{ cursor: "grab", touchAction: "none", color: "rgba(255,255,255,0.2)", display: "flex", padding: "4px 0" }}
+        >
+          <GripVertical size={14} />
+        </div>
+        <label style={{ position: "relative", width: 14, height: 14, borderRadius: "50%", background: cat.color, flexShrink: 0, cursor: "pointer", overflow: "hidden" }}>
+          <input
+            type="color"
+            value={cat.color}
+            onChange={e => onChange({ color: e.target.value })}
+            style={{ position: "absolute", inset: 0, opacity: 0, cursor: "pointer" }}
+          />
+        </label>
+        <input
+          value={cat.emoji}
+          onChange={e => onChange({ emoji: e.target.value })}
+          style={{ ...settingsInputStyle(cat.color), width: 38, padding: "6px 0", textAlign: "center", flexShrink: 0 }}
+        />
+        <input
+          value={cat.label}
+          onChange={e => onChange({ label: e.target.value })}
+          style={{ ...settingsInputStyle(cat.color), flex: 1, minWidth: 0, padding: "6px 10px" }}
+        />
+        <button
+          onClick={onToggle}
+          style={{ background: "none", border: "none", cursor: "pointer", fontSize: 10, color: "rgba(255,255,255,0.2)", padding: "4px" }}
+        >
+          {expanded ? "▲" : "▼"}
+        </button>
+        <button
+          onClick={onRemove}
+          disabled={!canRemove}
+          style={{ background: "none", border: "none", cursor: canRemove ? "pointer" : "default", color: "rgba(255,80,70,0.6)", opacity: canRemove ? 1 : 0.25, display: "flex", padding: "4px" }}
+        >
+          <Trash2 size={13} />
+        </button>
+      </div>
+      <AnimatePresence>
+        {expanded && (
+          <motion.div initial={{ height: 0, opacity: 0 }} animate={{ height: "auto", opacity: 1 }} exit={{ height: 0, opacity: 0 }} style={{ overflow: "hidden" }}>
+            <div style={{ padding: "8px 0 4px 20px", display: "flex", flexDirection: "column", gap: 6 }}>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em" }}>
+                CATEGORY GOAL
+                <GoalInput value={cat.weeklyGoal} color={cat.color} onChange={n => onChange({ weeklyGoal: n || undefined })} />
+              </div>
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em" }}>
+                REMINDER WINDOW
+                <ReminderWindowInput value={cat.reminder} color={cat.color} onChange={win => onChange({ reminder: win })} />
+              </div>
+              <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em" }}>SCHEDULE</div>
+              <ScheduleInput
+                value={cat.schedule}
+                color={cat.color}
+                weekStart={weekStart}
+                today={today}
+                onChange={schedule => onChange({ schedule })}
+              />
+              {orbs.map((orb, i) => (
+                <div key={orb.id} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <input
+                    value={orb.label}
+                    onChange={e => onOrbitalChange(i, { label: e.target.value })}
+                    style={{ ...settingsInputStyle(cat.color), flex: 1, minWidth: 0 }}
+                  />
+                  <select
+                    value={orb.unit || ""}
+                    aria-label={`${orb.label} unit`}
+                    onChange={e => onOrbitalChange(i, { unit: e.target.value || undefined })}
+                    style={{ ...settingsInputStyle(cat.color), width: 74, padding: "6px 4px", fontSize: 9, letterSpacing: "0.06em", flexShrink: 0, colorScheme: "dark" }}
+                  >
+                    <option value="">TIMES</option>
+                    {ORBITAL_UNITS.map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+                  </select>
+                  <GoalInput value={orb.weeklyGoal} color={cat.color} onChange={n => onOrbitalChange(i, { weeklyGoal: n || undefined })} />
+                  <button
+                    onClick={() => onOrbitalRemove(i)}
+                    disabled={orbs.length <= 1}
+                    style={{ background: "none", border: "none", cursor: orbs.length > 1 ? "pointer" : "default", color: "rgba(255,255,255,0.3)", opacity: orbs.length > 1 ? 1 : 0.25, display: "flex", padding: "4px" }}
+                  >
+                    <X size={13} />
+                  </button>
+                </div>
+              ))}
+              {orbs.length < MAX_ORBITALS && (
+                <button
+                  onClick={onOrbitalAdd}
+                  style={{
+                    padding: "7px", borderRadius: 8, background: "transparent",
+                    border: `1px dashed ${cat.color}30`, color: "rgba(255,255,255,0.3)",
+                    fontSize: 10, letterSpacing: "0.12em", cursor: "pointer",
+                    display: "flex", alignItems: "center", justifyContent: "center", gap: 5,
+                  }}
+                >
+                  <Plus size={11} /> ADD ORBITAL
+                </button>
               )}
-            </AnimatePresence>
-          </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </Reorder.Item>
+  );
+}
+
+function SettingsPanel({ categories, orbitals, settings, snapshot, syncStatus, onSave, onSettingsChange, onSyncNow, onImport, onClearData, onClose }) {
+  const [expandedCat, setExpandedCat] = useState(null);
+  const [editCats, setEditCats]       = useState(categories);
+  const [editValues, setEditValues]   = useState(() =>
+    Object.fromEntries(Object.entries(orbitals).map(([id, list]) => [id, liveOrbitals(list)])));
+  const [saved, setSaved]             = useState(false);
+
+  const updateCat = (id, patch) =>
+    setEditCats(prev => prev.map(c => c.id === id ? { ...c, ...patch } : c));
+
+  const addCategory = () => {
+    const id = newId("cat");
+    setEditCats(prev => [
+      ...prev,
+      { id, label: "New Category", emoji: "●", color: NEW_CATEGORY_COLORS[prev.length % NEW_CATEGORY_COLORS.length] },
+    ]);
+    setEditValues(prev => ({ ...prev, [id]: labelsToOrbitals(["Orbital 1", "Orbital 2", "Orbital 3"]) }));
+    setExpandedCat(id);
+  };
+
+  const removeCategory = (cat) => {
+    if (!window.confirm(`Remove "${cat.label}"? Its past logs stay stored and still show in the day view and journal, but leave the ring.`)) return;
+    setEditCats(prev => prev.filter(c => c.id !== cat.id));
+  };
+
+  // Removed categories keep their orbitals, and removed orbitals stay marked
+  // `removed`, so past entries still resolve (see removedCategories and
+  // resolveCategories); ones added and dropped unsaved go.
+  const handleSave = () => {
+    const keptOrbitals = Object.fromEntries(Object.entries(orbitals).filter(([id]) => !editCats.some(c => c.id === id)));
+    editCats.forEach(c => {
+      const live    = editValues[c.id] || [];
+      const dropped = (orbitals[c.id] || [])
+        .filter(o => !live.some(l => l.id === o.id))
+        .map(o => o.removed ? o : { ...o, removed: true });
+      keptOrbitals[c.id] = [...live, ...dropped];
+    });
+    onSave(editCats, keptOrbitals);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 1500);
+  };
+
+  return (
+    <BottomSheet title="SETTINGS" onClose={onClose}>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", marginBottom: 14 }}>CUSTOMIZE CATEGORIES</p>
+
+      <Reorder.Group as="div" axis="y" values={editCats} onReorder={setEditCats}>
+        {editCats.map(cat => (
+          <CategoryRow
+            key={cat.id}
+            cat={cat}
+            orbs={editValues[cat.id] || []}
+            expanded={expandedCat === cat.id}
+            canRemove={editCats.length > 1}
+            weekStart={settings.weekStart}
+            today={ritualDateStr(settings.dayStartHour)}
+            onToggle={() => setExpandedCat(expandedCat === cat.id ? null : cat.id)}
+            onChange={patch => updateCat(cat.id, patch)}
+            onOrbitalChange={(i, patch) => setEditValues(prev => ({
+              ...prev,
+              [cat.id]: (prev[cat.id] || []).map((o, j) => j === i ? { ...o, ...patch } : o),
+            }))}
+            onOrbitalAdd={() => setEditValues(prev => {
+              const list = prev[cat.id] || [];
+              return { ...prev, [cat.id]: [...list, { id: newId("orb"), label: `Orbital ${list.length + 1}` }] };
+            })}
+            onOrbitalRemove={i => setEditValues(prev => ({
+              ...prev,
+              [cat.id]: (prev[cat.id] || []).filter((_, j) => j !== i),
+            }))}
+            onRemove={() => removeCategory(cat)}
+          />
         ))}
+      </Reorder.Group>
 
+      {editCats.length < MAX_CATEGORIES && (
         <button
-          onClick={handleSave}
+          onClick={addCategory}
           style={{
-            marginTop: 16, width: "100%", padding: "13px", borderRadius: 12,
-            background: saved ? "rgba(48,209,88,0.15)" : "rgba(255,255,255,0.06)",
-            border: `1px solid ${saved ? "rgba(48,209,88,0.4)" : "rgba(255,255,255,0.08)"}`,
-            color: saved ? "#30d158" : "rgba(255,255,255,0.5)",
-            fontSize: 12, letterSpacing: "0.15em", cursor: "pointer",
-            display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
-            transition: "all 0.3s",
+            marginTop: 4, width: "100%", padding: "10px", borderRadius: 10,
+            background: "transparent", border: "1px dashed rgba(255,255,255,0.1)",
+            color: "rgba(255,255,255,0.35)", fontSize: 11, letterSpacing: "0.12em", cursor: "pointer",
+            display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
           }}
         >
-          {saved ? <><Check size={14} /> SAVED</> : "SAVE CHANGES"}
+          <Plus size={13} /> ADD CATEGORY
+        </button>
+      )}
+
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>STREAK REST DAYS PER WEEK</p>
+      <OptionButtons
+        options={[0, 1, 2, 3].map(n => ({ value: n, label: n }))}
+        value={settings.restDaysPerWeek}
+        onChange={n => onSettingsChange({ restDaysPerWeek: n })}
+      />
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", marginTop: 6, lineHeight: 1.5 }}>
+        Missed days up to this count each week keep a streak alive instead of resetting it.
+      </p>
+
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>DAY STARTS AT</p>
+      <OptionButtons
+        options={DAY_START_HOURS.map(h => ({ value: h, label: `${h}:00` }))}
+        value={settings.dayStartHour}
+        onChange={h => onSettingsChange({ dayStartHour: h })}
+      />
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", marginTop: 6, lineHeight: 1.5 }}>
+        Logs made after midnight but before this hour count toward the previous day.
+      </p>
+
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>WEEK STARTS ON</p>
+      <OptionButtons
+        options={WEEK_START_DAYS.map(d => ({ value: d, label: DAY_LABELS[d].toUpperCase() }))}
+        value={settings.weekStart}
+        onChange={d => onSettingsChange({ weekStart: d })}
+      />
+
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>FLAG NEGLECT AFTER</p>
+      <OptionButtons
+        options={[3, 5, 7, 14].map(n => ({ value: n, label: `${n}D` }))}
+        value={settings.neglectDays}
+        onChange={n => onSettingsChange({ neglectDays: n })}
+      />
+
+      <ReminderSettings
+        prefs={settings.reminders}
+        onChange={patch => onSettingsChange({ reminders: { ...settings.reminders, ...patch } })}
+      />
+
+      <SyncSettings
+        prefs={settings.sync}
+        status={syncStatus}
+        onChange={patch => onSettingsChange({ sync: { ...settings.sync, ...patch } })}
+        onSyncNow={onSyncNow}
+      />
+
+      <button
+        onClick={handleSave}
+        style={{
+          marginTop: 16, width: "100%", padding: "13px", borderRadius: 12,
+          background: saved ? "rgba(48,209,88,0.15)" : "rgba(255,255,255,0.06)",
+          border: `1px solid ${saved ? "rgba(48,209,88,0.4)" : "rgba(255,255,255,0.08)"}`,
+          color: saved ? "#30d158" : "rgba(255,255,255,0.5)",
+          fontSize: 12, letterSpacing: "0.15em", cursor: "pointer",
+          display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+          transition: "all 0.3s",
+        }}
+      >
+        {saved ? <><Check size={14} /> SAVED</> : "SAVE CHANGES"}
+      </button>
+
+      <BackupControls snapshot={snapshot} onImport={(data, mode) => { onImport(data, mode); onClose(); }} />
+      <LogExportControls logs={snapshot.logs} categories={resolveCategories(categories, orbitals)} dayStartHour={settings.dayStartHour} />
+
+      <button
+        onClick={() => { if (window.confirm("Clear all ritual logs? This cannot be undone.")) { onClearData(); onClose(); } }}
+        style={{
+          marginTop: 8, width: "100%", padding: "13px", borderRadius: 12,
+          background: "rgba(255,59,48,0.06)", border: "1px solid rgba(255,59,48,0.2)",
+          color: "rgba(255,80,70,0.7)", fontSize: 12, letterSpacing: "0.15em", cursor: "pointer",
+          display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
+        }}
+      >
+        <RotateCcw size={14} /> CLEAR ALL DATA
+      </button>
+    </BottomSheet>
+  );
+}
+
+// ─── DATA MIGRATIONS ─────────────────────────────────────────────────────────
+// The stored `schemaVersion` config records which of these have run on this
+// device. (Structural IndexedDB migrations live in storage.js.)
+//   1 → 2: orbitals become { id, label } and log keys switch from
+//          "<catId>:<label>" to "<catId>:<orbitalId>", so renaming an orbital
+//          no longer orphans its history.
+const SCHEMA_VERSION = 2;
+
+// Applied to stored data on load and to backup files on import.
+// `orbitals` may be null when the device never customised them.
+function upgradeData({ logs, orbitals }, fromVersion) {
+  let version = fromVersion;
+  if (version < 2) {
+    const legacy = orbitals || DEFAULT_CATEGORIES.reduce((a, c) => ({ ...a, [c.id]: c.orbitals }), {});
+    const upgraded = {};
+    Object.entries(legacy).forEach(([catId, list]) => {
+      upgraded[catId] = list.every(o => typeof o === "string") ? labelsToOrbitals(list) : list;
+    });
+
+    const migrated = {};
+    Object.entries(logs).forEach(([date, dayLogs]) => {
+      migrated[date] = {};
+      Object.entries(dayLogs).forEach(([key, value]) => {
+        const { catId, orbId: label } = parseLogKey(key);
+        const orb = (upgraded[catId] || []).find(o => o.label === label);
+        migrated[date][orb ? `${catId}:${orb.id}` : key] = value;
+      });
+    });
+
+    logs = migrated;
+    orbitals = orbitals ? upgraded : null;
+    version = 2;
+  }
+  return { logs, orbitals, version };
+}
+
+// ─── BACKUP ──────────────────────────────────────────────────────────────────
+// A backup file is
+//   { app: "ritual", version: BACKUP_VERSION, schemaVersion, exportedAt,
+//     meta: { days, entries },
+//     data: { logs, categories, orbitals, settings, skips } }
+// `version` is the file format; `schemaVersion` is SCHEMA_VERSION of the data
+// inside, so files from older builds are run through upgradeData on import.
+// Sync settings carry the server token, so they stay on the device: they're
+// left out of the file and kept as they are on restore.
+const BACKUP_VERSION = 1;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const countLogEntries = (logs) =>
+  Object.values(logs).reduce((n, day) => n + Object.keys(day).length, 0);
+
+const buildBackup = ({ logs, categories, orbitals, settings, skips }) => {
+  const { sync: _sync, ...portable } = settings;
+  return JSON.stringify({
+    app:           "ritual",
+    version:       BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt:    new Date().toISOString(),
+    meta: {
+      days:    Object.keys(logs).length,
+      entries: countLogEntries(logs),
+    },
+    data: { logs, categories, orbitals, settings: portable, skips },
+  }, null, 2);
+};
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Parses and validates a backup file's text. Returns { data } with the
+// contents upgraded to the current schema, or { error } describing the
+// first problem found.
+const parseBackup = (text) => {
+  let file;
+  try { file = JSON.parse(text); } catch { return { error: "Not a JSON file." }; }
+
+  if (!isPlainObject(file) || file.app !== "ritual") return { error: "Not a RITUAL backup." };
+  if (!(file.version >= 1 && file.version <= BACKUP_VERSION)) return { error: `Unsupported backup version ${file.version}.` };
+  if (!((file.schemaVersion ?? 1) <= SCHEMA_VERSION)) return { error: "Backup is from a newer version of the app." };
+
+  const { logs, categories, orbitals, settings, skips } = file.data || {};
+  if (!isPlainObject(logs)) return { error: "Backup has no logs." };
+  for (const [date, day] of Object.entries(logs)) {
+    if (!DATE_RE.test(date) || !isPlainObject(day)) return { error: `Invalid day "${date}".` };
+    for (const [key, value] of Object.entries(day)) {
+      if (!key.includes(":") || typeof entryTs(value) !== "number") return { error: `Invalid entry "${key}" on ${date}.` };
+    }
+  }
+  if (categories !== undefined && !(Array.isArray(categories) &&
+      categories.every(c => isPlainObject(c) && typeof c.id === "string" && typeof c.label === "string" &&
+        typeof c.emoji === "string" && typeof c.color === "string"))) {
+    return { error: "Invalid category list." };
+  }
+  if (categories?.length > MAX_CATEGORIES) return { error: `Backup has more than ${MAX_CATEGORIES} categories.` };
+  // Schema 1 data may hold plain label lists, which upgradeData turns into
+  // { id, label } objects; anything else must already be those objects.
+  const isOrbital = (o) => isPlainObject(o) && typeof o.id === "string" && typeof o.label === "string";
+  const isLabels  = (list) => (file.schemaVersion ?? 1) < 2 && list.every(o => typeof o === "string");
+  if (orbitals !== undefined && !(isPlainObject(orbitals) &&
+      Object.values(orbitals).every(list => Array.isArray(list) && (list.every(isOrbital) || isLabels(list))))) {
+    return { error: "Invalid orbital list." };
+  }
+  if (settings !== undefined && !isPlainObject(settings)) return { error: "Invalid settings." };
+  if (skips !== undefined && !(isPlainObject(skips) &&
+      Object.entries(skips).every(([date, ids]) => DATE_RE.test(date) && Array.isArray(ids) && ids.every(id => typeof id === "string")))) {
+    return { error: "Invalid skip marks." };
+  }
+
+  const upgraded = upgradeData({ logs, orbitals: orbitals || null }, file.schemaVersion ?? 1);
+  return {
+    data: {
+      logs:       upgraded.logs,
+      categories: categories || null,
+      orbitals:   upgraded.orbitals,
+      settings:   settings || null,
+      skips:      skips || null,
+    },
+    exportedAt: file.exportedAt,
+  };
+};
+
+// What importing `incoming` would do to `current`.
+const previewImport = (current, incoming) => {
+  const p = { incomingEntries: 0, added: 0, unchanged: 0, conflicts: 0, newDays: 0, localOnly: 0, newCategories: 0 };
+  Object.entries(incoming.logs).forEach(([date, day]) => {
+    const local = current.logs[date];
+    if (!local) p.newDays++;
+    Object.entries(day).forEach(([key, value]) => {
+      p.incomingEntries++;
+      if (local?.[key] === undefined) p.added++;
+      else if (JSON.stringify(local[key]) === JSON.stringify(value)) p.unchanged++;
+      else p.conflicts++;
+    });
+  });
+  Object.entries(current.logs).forEach(([date, day]) => {
+    Object.keys(day).forEach(key => { if (incoming.logs[date]?.[key] === undefined) p.localOnly++; });
+  });
+  const ids = new Set(current.categories.map(c => c.id));
+  const fresh = (incoming.categories || []).filter(c => !ids.has(c.id)).length;
+  p.newCategories = Math.min(fresh, Math.max(0, MAX_CATEGORIES - current.categories.length));
+  p.droppedCategories = fresh - p.newCategories;
+  return p;
+};
+
+// Day-by-day union. Entries share a "<catId>:<orbId>" key per day, so nothing
+// is duplicated; where both sides have the same key the local entry is kept.
+// Categories and orbitals missing locally are appended, up to MAX_CATEGORIES,
+// and skip marks are combined per day; settings stay local.
+const mergeData = (current, incoming) => {
+  const logs = { ...current.logs };
+  Object.entries(incoming.logs).forEach(([date, day]) => {
+    logs[date] = { ...day, ...(current.logs[date] || {}) };
+  });
+
+  const ids = new Set(current.categories.map(c => c.id));
+  const categories = [
+    ...current.categories,
+    ...(incoming.categories || []).filter(c => !ids.has(c.id)),
+  ].slice(0, Math.max(MAX_CATEGORIES, current.categories.length));
+
+  const orbitals = { ...current.orbitals };
+  Object.entries(incoming.orbitals || {}).forEach(([catId, list]) => {
+    const have = new Set((orbitals[catId] || []).map(o => o.id));
+    orbitals[catId] = [...(orbitals[catId] || []), ...list.filter(o => !have.has(o.id))];
+  });
+
+  const skips = { ...current.skips };
+  Object.entries(incoming.skips || {}).forEach(([date, ids]) => {
+    skips[date] = [...new Set([...(skips[date] || []), ...ids])];
+  });
+
+  return { logs, categories, orbitals, settings: current.settings, skips };
+};
+
+const replaceData = (current, incoming) => ({
+  logs:       incoming.logs,
+  categories: incoming.categories?.length ? incoming.categories : current.categories,
+  orbitals:   incoming.orbitals || current.orbitals,
+  settings:   { ...DEFAULT_SETTINGS, ...(incoming.settings || current.settings), sync: current.settings.sync },
+  skips:      incoming.skips || {},
+});
+
+// ─── LOG EXPORT ──────────────────────────────────────────────────────────────
+// Flat exports of individual log entries for spreadsheets and calendars.
+
+// Every entry within [from, to] (inclusive date strings) whose category is in
+// `catIds`, oldest first, with labels resolved through the current config.
+const collectEntries = (logs, categories, { from, to, catIds }) => {
+  const rows = [];
+  Object.keys(logs).sort().forEach(date => {
+    if ((from && date < from) || (to && date > to)) return;
+    Object.entries(logs[date]).forEach(([key, value]) => {
+      const { catId, orbId } = parseLogKey(key);
+      if (!catIds.has(catId)) return;
+      const cat = categories.find(c => c.id === catId);
+      rows.push({
+        date, key, catId, orbId,
+        catLabel: cat?.label || catId,
+        emoji:    cat?.emoji || "",
+        orbLabel: orbitalLabel(categories, catId, orbId),
+        summary:  entrySummary(categories, key, value),
+        note:     entryNote(value),
+        mood:     entryMood(value),
+        unit:     orbitalUnit(categories, catId, orbId)?.id || "",
+        ts:       entryTs(value),
+        backfill: entryBackfill(value),
+        value,
+      });
+    });
+  });
+  return rows.sort((a, b) => a.date.localeCompare(b.date) || a.ts - b.ts);
+};
+
+const csvField = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const buildCsv = (rows) => [
+  ["date", "category_id", "category_label", "orbital", "timestamp", "times", "amount", "unit", "duration_seconds", "mood", "note", "times_backfilled", "backfilled_at"].join(","),
+  ...rows.map(r => [
+    r.date, r.catId, r.catLabel, r.orbLabel, new Date(r.ts).toISOString(),
+    entryCount(r.value), r.unit ? entryAmount(r.value) : "", r.unit, entryDuration(r.value) || "", r.mood ?? "", r.note,
+    r.backfill.count || "", r.backfill.loggedAt ? new Date(r.backfill.loggedAt).toISOString() : "",
+  ].map(csvField).join(",")),
+].join("\r\n");
+
+// RFC 5545 helpers: UTC date-times, TEXT escaping and 75-octet line folding.
+const icsDate = (ts) => new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const icsFold = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let chunk = "", size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (parts.length ? 74 : 75)) { parts.push(chunk); chunk = ""; size = 0; }
+    chunk += ch; size += n;
+  }
+  parts.push(chunk);
+  return parts.join("\r\n ");
+};
+
+const ICS_EVENT_MINUTES = 15;   // logs are instants; give each event a short span
+
+const buildIcs = (rows) => {
+  const stamp = icsDate(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//RITUAL//Ritual Log//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:RITUAL",
+  ];
+  rows.forEach(r => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${r.date}-${r.key.replace(/[^A-Za-z0-9_-]/g, "_")}@ritual`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(r.ts)}`,
+      `DTEND:${icsDate(r.ts + ICS_EVENT_MINUTES * 60000)}`,
+      `SUMMARY:${icsText(`${r.emoji} ${r.summary}`.trim())}`,
+      `DESCRIPTION:${icsText([r.catLabel, r.mood && `Mood: ${moodLabel(r.mood)}`, r.note].filter(Boolean).join("\n"))}`,
+      `CATEGORIES:${icsText(r.catLabel)}`,
+      "END:VEVENT",
+    );
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+};
+
+function LogExportControls({ logs, categories, dayStartHour }) {
+  const dates = Object.keys(logs).sort();
+  const [from, setFrom]     = useState(() => dates[0] || ritualDateStr(dayStartHour));
+  const [to, setTo]         = useState(() => ritualDateStr(dayStartHour));
+  const [catIds, setCatIds] = useState(() => new Set(categories.map(c => c.id)));
+
+  const toggleCat = (id) => setCatIds(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const rows = collectEntries(logs, categories, { from, to, catIds });
+  const exportAs = (kind) => {
+    const name = `ritual-log-${from}-to-${to}`;
+    if (kind === "csv") downloadFile(`${name}.csv`, buildCsv(rows), "text/csv;charset=utf-8");
+    else downloadFile(`${name}.ics`, buildIcs(rows), "text/calendar;charset=utf-8");
+  };
+
+  const buttonStyle = {
+    flex: 1, padding: "11px", borderRadius: 10, cursor: rows.length ? "pointer" : "default",
+    background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+    color: "rgba(255,255,255,0.5)", fontSize: 11, letterSpacing: "0.12em", opacity: rows.length ? 1 : 0.4,
+    display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
+  };
+
+  return (
+    <>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>EXPORT LOGS</p>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 9, color: "rgba(255,255,255,0.25)" }}>
+        <input type="date" value={from} max={to} onChange={e => setFrom(e.target.value)} style={{ ...settingsInputStyle("#ffffff"), flex: 1, minWidth: 0, colorScheme: "dark" }} />
+        TO
+        <input type="date" value={to} min={from} onChange={e => setTo(e.target.value)} style={{ ...settingsInputStyle("#ffffff"), flex: 1, minWidth: 0, colorScheme: "dark" }} />
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+        {categories.map(cat => (
+          <button
+            key={cat.id}
+            onClick={() => toggleCat(cat.id)}
+            style={{
+              padding: "5px 10px", borderRadius: 14, cursor: "pointer", fontSize: 10,
+              background: catIds.has(cat.id) ? `${cat.color}25` : "transparent",
+              border: `1px solid ${catIds.has(cat.id) ? `${cat.color}80` : "rgba(255,255,255,0.08)"}`,
+              color: catIds.has(cat.id) ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.25)",
+            }}
+          >
+            {cat.emoji} {cat.label.split("/")[0]}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+        <button style={buttonStyle} disabled={!rows.length} onClick={() => exportAs("csv")}>
+          <FileText size={13} /> CSV
+        </button>
+        <button style={buttonStyle} disabled={!rows.length} onClick={() => exportAs("ics")}>
+          <CalendarDays size={13} /> CALENDAR
+        </button>
+      </div>
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", marginTop: 6 }}>{rows.length} entries selected</p>
+    </>
+  );
+}
+
+function BackupControls({ snapshot, onImport }) {
+  const fileRef = useRef(null);
+  const [pending, setPending] = useState(null);   // { data, exportedAt, preview } | { error }
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const parsed = parseBackup(text);
+      setPending(parsed.error ? parsed : { ...parsed, preview: previewImport(snapshot, parsed.data) });
+    });
+  };
+
+  const apply = (mode) => {
+    const next = mode === "merge" ? mergeData(snapshot, pending.data) : replaceData(snapshot, pending.data);
+    if (mode === "replace" && !window.confirm("Replace all data on this device with the backup?")) return;
+    onImport(next, mode);
+    setPending(null);
+  };
+
+  const buttonStyle = {
+    flex: 1, padding: "11px", borderRadius: 10, cursor: "pointer",
+    background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+    color: "rgba(255,255,255,0.5)", fontSize: 11, letterSpacing: "0.12em",
+    display: "flex", alignItems: "center", justifyContent: "center", gap: 6,
+  };
+  const row = (label, value) => (
+    <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, padding: "2px 0" }}>
+      <span style={{ color: "rgba(255,255,255,0.3)" }}>{label}</span>
+      <span style={{ color: "rgba(255,255,255,0.6)" }}>{value}</span>
+    </div>
+  );
+
+  return (
+    <>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", letterSpacing: "0.12em", margin: "22px 0 10px" }}>BACKUP</p>
+      <div style={{ display: "flex", gap: 6 }}>
+        <button style={buttonStyle} onClick={() => downloadFile(`ritual-backup-${toDateStr()}.json`, buildBackup(snapshot), "application/json")}>
+          <Download size={13} /> EXPORT
+        </button>
+        <button style={buttonStyle} onClick={() => fileRef.current?.click()}>
+          <Upload size={13} /> IMPORT
         </button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={onFile} style={{ display: "none" }} />
+      </div>
+
+      {pending?.error && (
+        <p style={{ fontSize: 10, color: "rgba(255,80,70,0.7)", marginTop: 8 }}>{pending.error}</p>
+      )}
+      {pending?.preview && (
+        <div style={{ marginTop: 10, padding: "12px 14px", borderRadius: 10, background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)" }}>
+          {pending.exportedAt && row("Exported", new Date(pending.exportedAt).toLocaleString())}
+          {row("Entries in file", pending.preview.incomingEntries)}
+          {row("New entries", pending.preview.added)}
+          {row("New days", pending.preview.newDays)}
+          {row("Already present", pending.preview.unchanged)}
+          {row("Conflicting (local kept on merge)", pending.preview.conflicts)}
+          {row("Only on this device (lost on replace)", pending.preview.localOnly)}
+          {row("New categories", pending.preview.newCategories)}
+          {pending.preview.droppedCategories > 0 && row(`Categories over the ${MAX_CATEGORIES} limit (skipped on merge)`, pending.preview.droppedCategories)}
+          <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+            <button style={buttonStyle} onClick={() => apply("merge")}>MERGE</button>
+            <button style={{ ...buttonStyle, color: "rgba(255,80,70,0.7)", borderColor: "rgba(255,59,48,0.2)" }} onClick={() => apply("replace")}>REPLACE</button>
+            <button style={buttonStyle} onClick={() => setPending(null)}>CANCEL</button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// ─── PROFILES ────────────────────────────────────────────────────────────────
+// Ring colours for profiles in the household heatmap, by position in the list.
+const PROFILE_COLORS = ["#0a84ff", "#ff375f", "#30d158", "#ff9f0a", "#bf5af2", "#64d2ff"];
+const HOUSEHOLD_WEEKS = 8;
+
+const profileColor = (profiles, id) =>
+  PROFILE_COLORS[Math.max(0, profiles.findIndex(p => p.id === id)) % PROFILE_COLORS.length];
+
+const profileName = (profile) => profile.name.trim() || "Unnamed";
+
+// Rituals that two or more profiles track under the same name — an orbital
+// ("Walk") or a whole category ("Pup"), compared case-insensitively. Each
+// carries, per profile id, the { catId, orbId? } matchers that count as done.
+const sharedRituals = (members) => {
+  const byName = new Map();
+  const add = (label, profileId, matcher) => {
+    const name = label.trim().toLowerCase();
+    if (!name) return;
+    if (!byName.has(name)) byName.set(name, { name, label: label.trim(), matchers: new Map() });
+    const { matchers } = byName.get(name);
+    matchers.set(profileId, [...(matchers.get(profileId) || []), matcher]);
+  };
+  members.forEach(({ profile, categories, orbitals }) => {
+    categories.forEach(cat => {
+      add(cat.label, profile.id, { catId: cat.id });
+      liveOrbitals(orbitals[cat.id]).forEach(orb => add(orb.label, profile.id, { catId: cat.id, orbId: orb.id }));
+    });
+  });
+  return [...byName.values()].filter(r => r.matchers.size > 1).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+const ritualLogged = (dayLogs, matchers = []) =>
+  Object.keys(dayLogs || {}).some(k => {
+    const { catId, orbId } = parseLogKey(k);
+    return matchers.some(m => m.catId === catId && (!m.orbId || m.orbId === orbId));
+  });
+
+// One segment per profile, lit where that profile logged the ritual.
+function HouseholdRing({ segments, size = 26 }) {
+  const cx = size / 2, cy = size / 2;
+  const r  = size * 0.42, ir = size * 0.22;
+  const step = sliceDeg(segments.length);
+  return (
+    <svg width={size} height={size} style={{ overflow: "visible" }}>
+      {segments.map((seg, i) => (
+        <path
+          key={seg.id}
+          d={donutSlicePath(cx, cy, r, ir, i * step, i * step + step - Math.min(3, step / 4))}
+          fill={seg.color}
+          opacity={seg.on ? 1 : 0.08}
+        />
+      ))}
+    </svg>
+  );
+}
+
+// The last HOUSEHOLD_WEEKS weeks of one shared ritual across every profile
+// on this device. Other profiles are read straight from their storage and
+// closed again; the active profile's data comes in live through props.
+function HouseholdHeatmap({ profiles, profile, categories, orbitals, logs, today, weekStart }) {
+  const [others, setOthers] = useState(null);
+  const [pick, setPick]     = useState(null);    // ritual name
+  const otherIds = profiles.filter(p => p.id !== profile.id).map(p => p.id).join(",");
+
+  // Each profile's store is closed as soon as it's read, whether or not the
+  // read worked; a profile that can't be read (blocked, deleted meanwhile)
+  // is left out. Results arriving after unmount or a newer run are dropped.
+  useEffect(() => {
+    let cancelled = false;
+    const loadOne = async (id) => {
+      let store = null;
+      try {
+        store = await openStorage(id);
+        const { logs: otherLogs, config } = await store.load();
+        return {
+          id,
+          logs:       otherLogs,
+          categories: Array.isArray(config.categories) && config.categories.length ? config.categories : defaultCategoryList(),
+          orbitals:   config.orbitals || defaultOrbitalMap(),
+        };
+      } catch {
+        return null;
+      } finally {
+        store?.close();
+      }
+    };
+    Promise.all(otherIds.split(",").filter(Boolean).map(loadOne)).then(loaded => {
+      if (!cancelled) setOthers(loaded.filter(Boolean));
+    });
+    return () => { cancelled = true; };
+  }, [otherIds]);
+
+  if (!others) return null;
+
+  const members = profiles.map(p => p.id === profile.id
+    ? { profile: p, logs, categories, orbitals }
+    : { profile: p, ...others.find(o => o.id === p.id) }
+  ).filter(m => m.logs);
+  const rituals = sharedRituals(members);
+  const ritual  = rituals.find(r => r.name === pick) || rituals[0];
+  const sharing = ritual ? members.filter(m => ritual.matchers.has(m.profile.id)) : [];
+
+  const first = weekStartStr(addDays(today, -7 * (HOUSEHOLD_WEEKS - 1)), weekStart);
+  const dates = Array.from({ length: 7 * HOUSEHOLD_WEEKS }, (_, i) => addDays(first, i));
+  const doneOn = (m, date) => ritualLogged(m.logs[date], ritual.matchers.get(m.profile.id));
+  const past   = dates.filter(d => d <= today);
+  const together = past.filter(d => sharing.every(m => doneOn(m, d))).length;
+
+  const chip = (active) => ({
+    flexShrink: 0, padding: "4px 10px", borderRadius: 14, cursor: "pointer", fontSize: 9, letterSpacing: "0.1em",
+    background: active ? "rgba(255,255,255,0.1)" : "transparent",
+    border: `1px solid ${active ? "rgba(255,255,255,0.2)" : "rgba(255,255,255,0.05)"}`,
+    color: active ? "rgba(255,255,255,0.75)" : "rgba(255,255,255,0.3)",
+  });
+
+  return (
+    <div style={{ marginTop: 24 }}>
+      <p style={{ fontSize: 9, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 10 }}>HOUSEHOLD</p>
+      {!ritual ? (
+        <p style={{ fontSize: 10, color: "rgba(255,255,255,0.25)", lineHeight: 1.6 }}>
+          Give a ritual the same name in two profiles — an orbital like “Walk” or a category like “Pup” — to see them side by side here.
+        </p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 4, overflowX: "auto", scrollbarWidth: "none", marginBottom: 12 }}>
+            {rituals.map(r => (
+              <button key={r.name} onClick={() => setPick(r.name)} style={chip(r === ritual)}>{r.label.toUpperCase()}</button>
+            ))}
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 4 }}>
+            {weekdayLabels(weekStart).map((d, i) => (
+              <div key={i} style={{ textAlign: "center", color: "rgba(255,255,255,0.15)", fontSize: 9, paddingBottom: 4 }}>{d[0]}</div>
+            ))}
+            {dates.map(date => {
+              const future = date > today;
+              const done   = sharing.filter(m => doneOn(m, date));
+              return (
+                <div
+                  key={date}
+                  title={`${date}: ${done.length ? done.map(m => profileName(m.profile)).join(", ") : "—"}`}
+                  style={{ display: "flex", justifyContent: "center", position: "relative", opacity: future ? 0.3 : 1 }}
+                >
+                  <HouseholdRing
+                    segments={sharing.map(m => ({ id: m.profile.id, color: profileColor(profiles, m.profile.id), on: !future && done.includes(m) }))}
+                  />
+                  {date === today && (
+                    <div style={{ position: "absolute", width: 26, height: 26, border: "1.5px solid rgba(255,255,255,0.4)", borderRadius: "50%" }} />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px 14px", marginTop: 12 }}>
+            {sharing.map(m => (
+              <div key={m.profile.id} style={{ display: "flex", alignItems: "center", gap: 5 }}>
+                <div style={{ width: 7, height: 7, borderRadius: "50%", background: profileColor(profiles, m.profile.id) }} />
+                <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)" }}>
+                  {profileName(m.profile)} {past.filter(d => doneOn(m, d)).length}D
+                </span>
+              </div>
+            ))}
+            <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)" }}>TOGETHER {together}D</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Switch, add, rename and delete profiles. The default profile holds any
+// data from before profiles existed and cannot be deleted.
+function ProfileSheet({ profiles, activeId, deleteError, onSwitch, onAdd, onRename, onDelete, onClose }) {
+  const [draft, setDraft] = useState("");
+  const add = () => {
+    if (!draft.trim()) return;
+    onAdd(draft.trim());
+    setDraft("");
+  };
+  const buttonStyle = {
+    background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 8,
+    padding: "6px 10px", cursor: "pointer", color: "rgba(255,255,255,0.5)", fontSize: 9, letterSpacing: "0.12em", flexShrink: 0,
+  };
 
-        <button
-          onClick={() => { if (window.confirm("Clear all ritual logs? This cannot be undone.")) { onClearData(); onClose(); } }}
-          style={{
-            marginTop: 8, width: "100%", padding: "13px", borderRadius: 12,
-            background: "rgba(255,59,48,0.06)", border: "1px solid rgba(255,59,48,0.2)",
-            color: "rgba(255,80,70,0.7)", fontSize: 12, letterSpacing: "0.15em", cursor: "pointer",
-            display: "flex", alignItems: "center", justifyContent: "center", gap: 8,
-          }}
-        >
-          <RotateCcw size={14} /> CLEAR ALL DATA
+  return (
+    <BottomSheet title="PROFILES" onClose={onClose}>
+      <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        {profiles.map(p => {
+          const color = profileColor(profiles, p.id);
+          return (
+            <div key={p.id} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <div style={{ width: 10, height: 10, borderRadius: "50%", background: color, flexShrink: 0 }} />
+              <input
+                value={p.name}
+                aria-label="Profile name"
+                onChange={e => onRename(p.id, e.target.value)}
+                style={{ ...settingsInputStyle(color), flex: 1, minWidth: 0, padding: "6px 10px" }}
+              />
+              {p.id === activeId
+                ? <span style={{ ...buttonStyle, background: "none", border: "1px solid transparent", color: "rgba(255,255,255,0.3)", cursor: "default" }}>ACTIVE</span>
+                : <button onClick={() => onSwitch(p.id)} style={buttonStyle}>SWITCH</button>}
+              {p.id !== DEFAULT_PROFILE && (
+                <button
+                  onClick={() => { if (window.confirm(`Delete "${profileName(p)}" and all of its rituals and logs? This cannot be undone.`)) onDelete(p.id); }}
+                  aria-label={`Delete ${profileName(p)}`}
+                  style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,80,70,0.5)", display: "flex", padding: 4 }}
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {deleteError && profiles.some(p => p.id === deleteError.id) && (
+          <p role="alert" style={{ fontSize: 10, color: "rgba(255,80,70,0.7)", lineHeight: 1.6, margin: 0 }}>
+            Couldn't delete "{profileName(profiles.find(p => p.id === deleteError.id))}": {deleteError.message}. Try again.
+          </p>
+        )}
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 16 }}>
+        <input
+          value={draft}
+          placeholder="New profile name"
+          onChange={e => setDraft(e.target.value)}
+          onKeyDown={e => { if (e.key === "Enter") add(); }}
+          style={{ ...settingsInputStyle("#ffffff"), flex: 1, minWidth: 0 }}
+        />
+        <button onClick={add} disabled={!draft.trim()} style={{ ...buttonStyle, display: "flex", alignItems: "center", gap: 4, opacity: draft.trim() ? 1 : 0.4 }}>
+          <Plus size={12} /> ADD
         </button>
-      </motion.div>
-    </motion.div>
+      </div>
+      <p style={{ fontSize: 10, color: "rgba(255,255,255,0.2)", lineHeight: 1.6, marginTop: 14 }}>
+        Each profile keeps its own rituals, logs and settings on this device. Rituals named the same in two profiles show up together under HOUSEHOLD in HISTORY.
+      </p>
+    </BottomSheet>
   );
 }
 
 // ─── MAIN APP ─────────────────────────────────────────────────────────────────
+// Holds the profile list and mounts the tracker for the active profile.
+// RitualApp is keyed on the profile id, so a switch is a clean remount: the
+// old profile's storage is closed and the new one loaded from scratch.
 export default function App() {
+  const [registry, setRegistry]       = useState(loadProfiles);
+  const [deleteError, setDeleteError] = useState(null);   // { id, message } of a delete that failed
+  const { profiles } = registry;
+  const profile = profiles.find(p => p.id === registry.active) || profiles[0];
+
+  useEffect(() => { saveProfiles(registry); }, [registry]);
+
+  // A deleted profile leaves the list only once its data is gone; if that
+  // fails it stays, with the error, so the delete can be tried again.
+  const actions = {
+    deleteError,
+    onSwitch: (id) => setRegistry({ ...registry, active: id }),
+    onAdd: (name) => {
+      const id = newId("profile");
+      setRegistry({ active: id, profiles: [...profiles, { id, name }] });
+    },
+    onRename: (id, name) => setRegistry({ ...registry, profiles: profiles.map(p => p.id === id ? { ...p, name } : p) }),
+    onDelete: async (id) => {
+      setDeleteError(null);
+      if (registry.active === id) setRegistry(r => ({ ...r, active: DEFAULT_PROFILE }));
+      try {
+        await deleteProfileData(id);
+      } catch (err) {
+        setDeleteError({ id, message: err.message || "Could not delete this profile's data" });
+        return;
+      }
+      setRegistry(r => ({
+        active:   r.active === id ? DEFAULT_PROFILE : r.active,
+        profiles: r.profiles.filter(p => p.id !== id),
+      }));
+    },
+  };
+
+  return <RitualApp key={profile.id} profile={profile} profiles={profiles} profileActions={actions} />;
+}
+
+function RitualApp({ profile, profiles, profileActions }) {
 
   // ── State ──────────────────────────────────────────────────────────────────
-  const [logs, setLogs] = useState(() => {
-    try { return JSON.parse(localStorage.getItem("ritual_logs") || "{}"); } catch { return {}; }
-  });
-  const [orbitals, setOrbitals] = useState(() => {
-    try {
-      const saved = JSON.parse(localStorage.getItem("ritual_orbitals") || "null");
-      return saved || DEFAULT_CATEGORIES.reduce((a, c) => ({ ...a, [c.id]: [...c.orbitals] }), {});
-    } catch {
-      return DEFAULT_CATEGORIES.reduce((a, c) => ({ ...a, [c.id]: [...c.orbitals] }), {});
-    }
-  });
+  // Everything persistent starts at its default and is replaced once the
+  // storage layer has loaded; nothing renders until then.
+  const [store, setStore]           = useState(null);
+  const [loadError, setLoadError]   = useState(null);   // storage couldn't be opened
+  const [saveError, setSaveError]   = useState(null);   // last failed write, until one succeeds
+  const [logs, setLogs]             = useState({});
+  const [orbitals, setOrbitals]     = useState(defaultOrbitalMap);
+  const [categories, setCategories] = useState(defaultCategoryList);
+  const [settings, setSettings]     = useState(() => ({ ...DEFAULT_SETTINGS }));
 
   const [currentView, setCurrentView]           = useState(0);
   const [activeSlice, setActiveSlice]           = useState(null);
   const [orbitalPositions, setOrbitalPositions] = useState([]);
   const [showSettings, setShowSettings]         = useState(false);
-  const [justLogged, setJustLogged]             = useState(null);    // { catId, orbital }
+  const [showProfiles, setShowProfiles]         = useState(false);
+  const [justLogged, setJustLogged]             = useState(null);    // { catId, orbId, date, key, prev, amount }
+  const [quickAdd, setQuickAdd]                 = useState(null);    // { catId, orbId } awaiting an amount
+  const [timerSetup, setTimerSetup]             = useState(null);    // { catId, orbId } choosing a session
+  const [timer, setTimer]                       = useState(null);    // running focus session, see FOCUS TIMER
+  const [timerNow, setTimerNow]                 = useState(() => Date.now());   // clock for the timer bar
+  const [celebration, setCelebration]           = useState(null);    // { id, catId } of a finished session
   const [newDayToast, setNewDayToast]           = useState(false);   // fires once per new day
+  const [detailDate, setDetailDate]             = useState(null);    // date string shown in the day sheet
+  const [noteKey, setNoteKey]                   = useState(null);    // entry whose note opens with the day sheet
+  const [journalDate, setJournalDate]           = useState(null);    // journal open, scrolled to this date
+  const [skips, setSkips]                       = useState({});      // { date: [catId] } skipped, see SCHEDULES
+  const [sentReminders, setSentReminders]       = useState({ date: null, ids: [] });   // fired today
+  const [syncStatus, setSyncStatus]             = useState({ busy: false, lastSyncAt: null, lastError: null, pending: 0 });
+  const [weekOffset, setWeekOffset]             = useState(0);       // WEEKLY view: 0 = this week, -1 = last…
+  const [weekCompare, setWeekCompare]           = useState("off");   // WEEK_COMPARE_MODES id
+  const [weekMetric, setWeekMetric]             = useState("times"); // "times" or an ORBITAL_UNITS id
+  const [rovingSlice, setRovingSlice]           = useState(0);       // the one slice in the Tab order
+  const [sliceRing, setSliceRing]               = useState(false);   // keyboard focus ring on rovingSlice
 
   const longPressTimer   = useRef(null);
   const isLongPress      = useRef(false);
   const pointerDownSlice = useRef(null);
+  const pieRef           = useRef(null);           // pie container, for orbital layout bounds
+  const toastTimer       = useRef(null);           // hides the "logged" toast
   const logsRef          = useRef(logs);           // mirror ref for visibilitychange handler
+  const persistedLogs    = useRef(null);           // logs as last written to storage
+  const sliceRefs        = useRef([]);             // slice paths, for arrow-key focus moves
+  const orbitalsRef      = useRef(null);           // wraps the orbital buttons
+  const focusOrbitals    = useRef(false);          // move focus into orbitals once they render
+  const syncState        = useRef(createSyncState());   // cursor + outbox, persisted as "syncState"
+  const syncing          = useRef(false);          // a sync round is in flight
+  const syncTimer        = useRef(null);           // debounces sync after local edits
+  const orbPressTimer    = useRef(null);           // long-press on an orbital opens the timer
+  const orbLongPress     = useRef(false);          // swallow the click that ends that long-press
+  const timerRef         = useRef(null);           // latest session, for the tick
+  const finishTimerRef   = useRef(null);
+  const finishingTimer   = useRef(null);           // id of the session being finished
   useEffect(() => { logsRef.current = logs; }, [logs]);
 
+  // ── Service worker ─────────────────────────────────────────────────────────
+  // A new build's worker waits (registerType "prompt") until the banner's
+  // RELOAD is tapped, so an update never swaps code mid-ritual.
+  const { needRefresh: [needRefresh, setNeedRefresh], updateServiceWorker } = useRegisterSW();
+
+  // ── Load from storage ──────────────────────────────────────────────────────
+  // Opens the storage layer, brings the data up to SCHEMA_VERSION, and runs
+  // the daily reset check. Logs are keyed by local date string, so history
+  // is never at risk; a new local day just shows a "fresh start" toast.
+  useEffect(() => {
+    let cancelled = false, opened = null;
+    (async () => {
+      opened = await openStorage(profile.id, { mergeEntry });
+      if (cancelled) { opened.close(); return; }
+      let { logs: loaded, config } = await opened.load();
+
+      const fromVersion = config.schemaVersion ?? 1;
+      if (fromVersion < SCHEMA_VERSION) {
+        const upgraded = upgradeData({ logs: loaded, orbitals: config.orbitals || null }, fromVersion);
+        loaded = upgraded.logs;
+        await opened.replaceLogs(loaded);
+        if (upgraded.orbitals) {
+          config = { ...config, orbitals: upgraded.orbitals };
+          await opened.setConfig("orbitals", upgraded.orbitals);
+        }
+        await opened.setConfig("schemaVersion", upgraded.version);
+      }
+
+      if (cancelled) return;
+
+      const todayStr = ritualDateStr(config.settings?.dayStartHour);
+      if (config.lastOpenedDate && config.lastOpenedDate !== todayStr) {
+        // New day! Previous day's logs are safe in logs[lastOpenedDate].
+        setNewDayToast(true);
+        setTimeout(() => setNewDayToast(false), 3500);
+      }
+      opened.setConfig("lastOpenedDate", todayStr).catch(setSaveError);
+
+      persistedLogs.current = loaded;
+      setLogs(loaded);
+      if (config.orbitals) setOrbitals(config.orbitals);
+      if (Array.isArray(config.categories) && config.categories.length) setCategories(config.categories);
+      if (config.settings) setSettings({ ...DEFAULT_SETTINGS, ...config.settings });
+      if (config.remindersSent) setSentReminders(config.remindersSent);
+      if (config.timer) setTimer(config.timer);
+      if (config.skips) setSkips(config.skips);
+      if (config.syncState) {
+        syncState.current = { ...createSyncState(), ...config.syncState };
+        setSyncStatus(s => ({ ...s, ...syncSummary(syncState.current) }));
+      }
+      setStore(opened);
+    })().catch(err => {
+      if (!cancelled) setLoadError(err.message || "Storage could not be opened.");
+    });
+    return () => {
+      cancelled = true;
+      opened?.close();
+    };
+  }, [profile.id]);
+
   // ── Persist on every change ────────────────────────────────────────────────
-  useEffect(() => { localStorage.setItem("ritual_logs",     JSON.stringify(logs));    }, [logs]);
-  useEffect(() => { localStorage.setItem("ritual_orbitals", JSON.stringify(orbitals)); }, [orbitals]);
+  // Only the entries that changed since the last write are stored; storage
+  // merges them into the stored day, so other tabs' entries survive. If a
+  // write fails, its entries go back to their last stored values in
+  // `persistedLogs`, so the next change (or going to the background) writes
+  // them again; meanwhile a banner says saving failed.
+  const persistLogs = (current) => {
+    if (!store || !persistedLogs.current) return;
+    const before  = persistedLogs.current;
+    const patches = diffEntries(before, current);
+    if (!Object.keys(patches).length) return;
+    persistedLogs.current = current;
+    store.writeEntries(patches).then(() => setSaveError(null), err => {
+      const revert = {};
+      Object.entries(patches).forEach(([date, patch]) => {
+        revert[date] = Object.fromEntries(Object.keys(patch).map(key => [key, before[date]?.[key] ?? null]));
+      });
+      persistedLogs.current = applyEntries(persistedLogs.current, revert);
+      setSaveError(err);
+    });
+    if (settings.sync.enabled && settings.sync.url) {
+      updateSync(queueLogPatches(syncState.current, patches));
+      scheduleSync();
+    }
+  };
+  useEffect(() => { persistLogs(logs); });  // diff is empty unless logs changed
+
+  // A replacing import first removes every stored entry, so the imported
+  // ones are written fresh instead of merged with the shares they replace.
+  const clearStoredLogs = () => {
+    const removals = diffEntries(persistedLogs.current, {});
+    persistedLogs.current = {};
+    store.writeEntries(removals).catch(setSaveError);
+    if (settings.sync.enabled && settings.sync.url) updateSync(queueLogPatches(syncState.current, removals));
+  };
+  useEffect(() => { store?.setConfig("orbitals",   orbitals).catch(setSaveError);   }, [store, orbitals]);
+  useEffect(() => { store?.setConfig("categories", categories).catch(setSaveError); }, [store, categories]);
+  useEffect(() => { store?.setConfig("settings",   settings).catch(setSaveError);   }, [store, settings]);
+  useEffect(() => { store?.setConfig("remindersSent", sentReminders).catch(setSaveError); }, [store, sentReminders]);
+  useEffect(() => { store?.setConfig("timer", timer).catch(setSaveError); }, [store, timer]);
+  useEffect(() => { store?.setConfig("skips", skips).catch(setSaveError); }, [store, skips]);
+
+  // ── Sync from other tabs and windows ──────────────────────────────────────
+  // Remote entry patches are applied to both the live and the persisted copy,
+  // so they show up immediately and are never written back as local changes.
+  // Echoed config writes are dropped by the storage layer.
+  useEffect(() => store?.subscribe(change => {
+    if (change.type === "entries") {
+      persistedLogs.current = applyEntries(persistedLogs.current, change.patches, mergeEntry);
+      setLogs(p => applyEntries(p, change.patches, mergeEntry));
+      return;
+    }
+    const { key, value } = change;
+    if (key === "timer") { setTimer(value ?? null); return; }   // cleared is removed in localStorage
+    if (value === undefined) return;
+    if (key === "syncState") {
+      syncState.current = mergeSyncStates(syncState.current, { ...createSyncState(), ...value });
+      setSyncStatus(s => ({ ...s, ...syncSummary(syncState.current) }));
+      return;
+    }
+    if (key === "categories" && Array.isArray(value) && value.length) setCategories(value);
+    if (key === "orbitals")      setOrbitals(value);
+    if (key === "settings")      setSettings({ ...DEFAULT_SETTINGS, ...value });
+    if (key === "remindersSent") setSentReminders(value);
+    if (key === "skips")         setSkips(value);
+  }), [store]);
+
+  // ── Server sync ────────────────────────────────────────────────────────────
+  // Local edits are queued whenever a server URL is set (so pausing sync
+  // loses nothing) and pushed a couple of seconds later; a round also runs
+  // on start, every minute, and whenever the app comes back to the front.
+  // Pulled entries are applied like another tab's: to the live and the
+  // persisted copy, then written through storage. A new server URL starts
+  // over with a full push and pull. Tabs share the outbox through the
+  // "syncState" config and take turns with a per-profile lock.
+  const updateSync = (next) => {
+    syncState.current = next;
+    store?.setConfig("syncState", next).catch(setSaveError);
+  };
+
+  const syncRound = async (prefs) => {
+    setSyncStatus(s => ({ ...s, busy: true }));
+    try {
+      let state = syncState.current;
+      if (state.url !== prefs.url) state = { ...createSyncState(), url: prefs.url };
+      if (state.cursor === null) {
+        state = queueAllLogs(state, persistedLogs.current);
+        state = queueConfig(queueConfig(state, "categories", categories, 0), "orbitals", orbitals, 0);
+        state = queueConfig(state, "skips", skips, 0);
+      }
+      updateSync(state);
+
+      const result = await syncOnce(prefs.url, state, { token: prefs.token });
+      const { patches, config } = splitRemoteChanges(result.changes, syncState.current.outbox);
+      if (Object.keys(patches).length) {
+        // Stored first: if that fails the cursor stays put and they're pulled again.
+        await store.writeEntries(patches);
+        persistedLogs.current = applyEntries(persistedLogs.current, patches, mergeEntry);
+        setLogs(p => applyEntries(p, patches, mergeEntry));
+        // Entries that gained shares held only here go back up merged.
+        const merged = {};
+        Object.entries(patches).forEach(([date, patch]) => Object.entries(patch).forEach(([key, value]) => {
+          const mine = persistedLogs.current[date]?.[key];
+          if (value !== null && mine !== undefined && mine !== value) (merged[date] ||= {})[key] = mine;
+        }));
+        if (Object.keys(merged).length) {
+          syncState.current = queueLogPatches(syncState.current, merged);
+          scheduleSync();
+        }
+      }
+      if (Array.isArray(config.categories) && config.categories.length) setCategories(config.categories);
+      if (config.orbitals) setOrbitals(config.orbitals);
+      if (config.skips) setSkips(config.skips);
+      updateSync(settleSync(syncState.current, result));
+    } catch (err) {
+      updateSync({ ...syncState.current, lastError: err.message || "Sync failed" });
+    } finally {
+      setSyncStatus({ busy: false, ...syncSummary(syncState.current) });
+    }
+  };
+
+  const runSync = async () => {
+    const prefs = settings.sync;
+    if (!store || !prefs.enabled || !prefs.url || syncing.current) return;
+    syncing.current = true;
+    try {
+      await withTabLock(`ritual-sync-${profile.id}`, () => syncRound(prefs));
+    } finally {
+      syncing.current = false;
+    }
+  };
+
+  const runSyncRef = useRef(runSync);
+  useEffect(() => { runSyncRef.current = runSync; });
+
+  const scheduleSync = () => {
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(() => runSyncRef.current(), 2000);
+  };
+
+  // Explicit category edits and skip marks travel to other devices too:
+  // `docs` maps SYNCED_CONFIG_KEYS to their new values.
+  const queueConfigSync = (docs) => {
+    if (!settings.sync.enabled || !settings.sync.url) return;
+    updateSync(Object.entries(docs).reduce((state, [key, value]) => queueConfig(state, key, value), syncState.current));
+    scheduleSync();
+  };
+
+  // Nothing is queued while sync is off, so turning it back on starts over
+  // like a first sync: the cursor is dropped and every local entry goes up.
+  useEffect(() => {
+    if (!store || settings.sync.enabled || syncState.current.cursor === null) return;
+    syncState.current = { ...syncState.current, cursor: null };
+    store.setConfig("syncState", syncState.current).catch(setSaveError);
+  }, [store, settings.sync.enabled]);
+
+  useEffect(() => {
+    if (!store || !settings.sync.enabled || !settings.sync.url) return;
+    const run       = () => runSyncRef.current();
+    const onVisible = () => { if (document.visibilityState === "visible") run(); };
+    const timer     = setInterval(run, 60 * 1000);
+    document.addEventListener("visibilitychange", onVisible);
+    run();
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [store, settings.sync.enabled, settings.sync.url]);
 
   // ── Bulletproof save: flush when app goes to background ───────────────────
   // iOS can terminate a PWA tab before the next render, so we save on hide too.
+  const persistLogsRef = useRef(persistLogs);
+  useEffect(() => { persistLogsRef.current = persistLogs; });
   useEffect(() => {
     const onHide = () => {
-      if (document.visibilityState === "hidden") {
-        localStorage.setItem("ritual_logs", JSON.stringify(logsRef.current));
-      }
+      if (document.visibilityState === "hidden") persistLogsRef.current(logsRef.current);
     };
     document.addEventListener("visibilitychange", onHide);
     return () => document.removeEventListener("visibilitychange", onHide);
   }, []);
 
-  // ── Daily reset check ──────────────────────────────────────────────────────
-  // Logs are already keyed by local date string, so history is never at risk.
-  // This detects a new local day and shows a "fresh start" celebration toast.
-  useEffect(() => {
-    const todayStr   = toDateStr();           // local-timezone date
-    const lastOpened = localStorage.getItem("ritual_last_opened_date");
+  // ── Derived ────────────────────────────────────────────────────────────────
+  const todayStr = ritualDateStr(settings.dayStartHour);
+  const cats     = resolveCategories(categories, orbitals);
+  const pastCats = useMemo(() => removedCategories(categories, orbitals), [categories, orbitals]);
+  const step     = sliceDeg(cats.length);
 
-    if (lastOpened && lastOpened !== todayStr) {
-      // New day! Previous day's logs are safe in logs[lastOpened].
-      setNewDayToast(true);
-      setTimeout(() => setNewDayToast(false), 3500);
-    }
+  const weekCounts = useMemo(() => countEntries(logs, getWeekDates(todayStr, settings.weekStart)), [logs, todayStr, settings.weekStart]);
 
-    localStorage.setItem("ritual_last_opened_date", todayStr);
-  }, []); // runs once on mount
+  // Week shown in the WEEKLY view and its optional comparison baseline.
+  const viewedWeek   = getWeekDates(addDays(todayStr, 7 * weekOffset), settings.weekStart);
+  const viewedCounts = weekOffset === 0 ? weekCounts : countEntries(logs, viewedWeek);
+  const usedUnits    = ORBITAL_UNITS.filter(u => cats.some(c => c.orbitals.some(o => o.unit === u.id)));
+  const metricUnit   = usedUnits.find(u => u.id === weekMetric) || null;    // null: times logged
+  const measure      = entryMeasure(cats, metricUnit?.id || "times");
+  const viewedTotals = metricUnit ? countEntries(logs, viewedWeek, measure) : viewedCounts;
+  const compareMode  = WEEK_COMPARE_MODES.find(m => m.id === weekCompare);
+  const baseline     = compareMode.weeks ? weekBaseline(logs, cats, viewedWeek[0], compareMode.weeks, measure) : null;
+  const stepWeek     = (n) => setWeekOffset(o => Math.min(0, o + n));
 
-  // ── Derived ────────────────────────────────────────────────────────────────
-  const todayStr = toDateStr();
+  const [streakTracker] = useState(createStreakTracker);
+  const streaks = useMemo(
+    () => streakTracker.compute(logs, categories, settings.restDaysPerWeek, todayStr, settings.weekStart, skips),
+    [streakTracker, logs, categories, settings.restDaysPerWeek, todayStr, settings.weekStart, skips],
+  );
 
   const getLoggedCatsToday = () => {
     const dayLogs = logs[todayStr] || {};
     const set = new Set();
-    Object.keys(dayLogs).forEach(k => set.add(k.split(":")[0]));
+    Object.keys(dayLogs).forEach(k => set.add(parseLogKey(k).catId));
     return set;
   };
 
-  const logActivity = (catId, orbital) => {
-    const key = `${catId}:${orbital}`;
-    setLogs(prev => ({
-      ...prev,
-      [todayStr]: { ...(prev[todayStr] || {}), [key]: Date.now() },
+  // Repeat logs add to the day's entry; `amount` is in the orbital's unit,
+  // `duration` the seconds of a timed session.
+  const logActivity = (catId, orbId, amount = 0, duration = 0) => {
+    const key  = `${catId}:${orbId}`;
+    const prev = logs[todayStr]?.[key];                 // kept so the toast can undo the addition
+    const now  = Date.now();
+    setLogs(p => ({
+      ...p,
+      [todayStr]: { ...(p[todayStr] || {}), [key]: addToEntry(p[todayStr]?.[key], now, amount, duration) },
     }));
-    setJustLogged({ catId, orbital });
-    setTimeout(() => setJustLogged(null), 2000);
+    setJustLogged({ catId, orbId, date: todayStr, key, prev, amount, duration });
+    clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setJustLogged(null), 4000);
     try { navigator.vibrate?.(50); } catch {}
+    dismissOrbitals();
+  };
+
+  // Drops one entry, removing the day altogether once it's empty.
+  const unlogEntry = (date, key) => {
+    setLogs(p => {
+      const { [key]: _removed, ...rest } = p[date] || {};
+      const next = { ...p };
+      if (Object.keys(rest).length) next[date] = rest;
+      else delete next[date];
+      return next;
+    });
+  };
+
+  const putEntry = (date, key, value) => {
+    setLogs(p => ({ ...p, [date]: { ...(p[date] || {}), [key]: value } }));
+  };
+
+  const setEntryNote = (date, key, patch) => {
+    setLogs(p => p[date]?.[key] === undefined ? p : { ...p, [date]: { ...p[date], [key]: withEntryNote(p[date][key], patch) } });
+  };
+
+  // Marks or clears a one-off skip of `catId` on `date`.
+  const toggleSkip = (date, catId) => {
+    const list = skips[date] || [];
+    const day  = list.includes(catId) ? list.filter(id => id !== catId) : [...list, catId];
+    const { [date]: _dropped, ...rest } = skips;
+    const next = day.length ? { ...rest, [date]: day } : rest;
+    setSkips(next);
+    queueConfigSync({ skips: next });
+  };
+
+  const setEntryTime = (date, key, ts) => {
+    setLogs(p => p[date]?.[key] === undefined ? p : { ...p, [date]: { ...p[date], [key]: withEntryTs(p[date][key], ts) } });
+  };
+
+  // Logging from the day sheet. Today is an ordinary live log; past days get
+  // a backfilled entry placed at the current clock time on that date, with
+  // the real entry time kept alongside.
+  const logOnDate = (date, catId, orbId, amount = 0) => {
+    if (date === todayStr) { logActivity(catId, orbId, amount); return; }
+    const now = new Date();
+    const key = `${catId}:${orbId}`;
+    putEntry(date, key, addToEntry(logs[date]?.[key], {
+      ts:         fromTimeInput(date, toTimeInput(now), settings.dayStartHour),
+      backfilled: true,
+      loggedAt:   now.getTime(),
+    }, amount));
+    try { navigator.vibrate?.(30); } catch { /* no haptics */ }
+  };
+
+  const undoLog = () => {
+    if (!justLogged) return;
+    const { date, key, prev, amount, duration } = justLogged;
+    if (prev === undefined) unlogEntry(date, key);
+    else setLogs(p => p[date]?.[key] === undefined ? p : { ...p, [date]: { ...p[date], [key]: takeFromEntry(p[date][key], amount, duration) } });
+    clearTimeout(toastTimer.current);
+    setJustLogged(null);
+  };
+
+  // ── Focus timer ───────────────────────────────────────────────────────────
+  // The clock ticks once a second while a session runs and the app is in
+  // front; a countdown that ran out meanwhile (in the background, or with
+  // the app closed) completes on the first tick back. Only a visible window
+  // completes sessions, and only the one that clears the stored session logs
+  // it, so two open windows don't both log one.
+  const openTimerSetup = (catId, orbId) => {
+    setQuickAdd(null);
+    setTimerSetup({ catId, orbId });
+  };
+
+  const startTimer = (catId, orbId, mode, minutes) => {
+    if (timer && !window.confirm("Replace the session that's already running?")) return;
+    const now = Date.now();
+    setTimer({
+      id: newId("timer"), catId, orbId, mode,
+      targetMs:  mode === "countdown" ? minutes * 60000 : null,
+      startedAt: now,
+      elapsedMs: 0,
+    });
+    setTimerNow(now);
+    setTimerSetup(null);
+    dismissOrbitals();
+  };
+
+  const pauseTimer  = () => setTimer(t => t?.startedAt ? { ...t, startedAt: null, elapsedMs: timerElapsed(t, Date.now()) } : t);
+  const resumeTimer = () => setTimer(t => t && !t.startedAt ? { ...t, startedAt: Date.now() } : t);
+  const cancelTimer = () => {
+    if (timerElapsed(timer, Date.now()) > 60000 && !window.confirm("Discard this session without logging it?")) return;
+    setTimer(null);
+  };
+
+  // Logs the time actually spent (a countdown at most its target) and, for
+  // orbitals measured in minutes, adds those minutes to the day's amount.
+  const finishTimer = async () => {
+    const t = timerRef.current;
+    if (!t || finishingTimer.current === t.id) return;
+    finishingTimer.current = t.id;   // the clock keeps ticking while storage answers
+    const ms = t.targetMs ? Math.min(timerElapsed(t, Date.now()), t.targetMs) : timerElapsed(t, Date.now());
+    let mine;
+    try {
+      mine = await store.clearConfigIf("timer", stored => stored?.id === t.id);
+    } catch (err) {
+      finishingTimer.current = null;
+      setSaveError(err);
+      return;
+    }
+    setTimer(cur => cur?.id === t.id ? null : cur);
+    if (!mine || ms < 1000) return;
+    const minutes = orbitalUnit(cats, t.catId, t.orbId)?.id === "minutes" ? Math.max(1, Math.round(ms / 60000)) : 0;
+    logActivity(t.catId, t.orbId, minutes, Math.round(ms / 1000));
+    setCelebration({ id: t.id, catId: t.catId });
+    try { navigator.vibrate?.([60, 80, 60]); } catch { /* no haptics */ }
+  };
+
+  useEffect(() => {
+    timerRef.current       = timer;
+    finishTimerRef.current = finishTimer;
+  });
+
+  const timerRunning = !!timer?.startedAt;
+  useEffect(() => {
+    if (!timerRunning || !store) return;
+    const tick = () => {
+      if (document.visibilityState !== "visible") return;
+      const t   = timerRef.current;
+      const now = Date.now();
+      if (t?.targetMs && timerElapsed(t, now) >= t.targetMs) finishTimerRef.current();
+      else setTimerNow(now);
+    };
+    const id = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", tick);
+    tick();
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [timerRunning, store]);
+
+  // ── Orbitals ──────────────────────────────────────────────────────────────
+  // Opened by a long-press or by Enter/Space on a focused slice. Keyboard
+  // opens move focus onto the first orbital; closing returns it to the slice.
+  const openOrbitals = (idx, { fromKeyboard = false } = {}) => {
+    const cat  = cats[idx];
+    const rect = pieRef.current?.getBoundingClientRect();
+    setOrbitalPositions(layoutOrbitals({
+      count:    cat.orbitals.length,
+      midAngle: idx * step + step / 2,
+      slice:    step,
+      center:   rect
+        ? { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }
+        : { x: window.innerWidth / 2, y: window.innerHeight / 2 },
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+    }));
+    focusOrbitals.current = fromKeyboard;
+    setActiveSlice(idx);
+  };
+
+  const dismissOrbitals = () => {
+    setQuickAdd(null);
+    setTimerSetup(null);
+    if (activeSlice === null) return;
+    const hadFocus = orbitalsRef.current?.contains(document.activeElement);
     setActiveSlice(null);
+    if (hadFocus) sliceRefs.current[activeSlice]?.focus();
+  };
+
+  useEffect(() => {
+    if (activeSlice === null || !focusOrbitals.current) return;
+    focusOrbitals.current = false;
+    orbitalsRef.current?.querySelector("button")?.focus();
+  }, [activeSlice]);
+
+  // Arrow keys walk the ring (roving tabindex), Home/End jump to its ends,
+  // Enter/Space toggle the slice's orbitals and Escape closes them.
+  const handleSliceKeyDown = (idx, e) => {
+    const n    = cats.length;
+    const move = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+    let target = null;
+    if (move)                 target = (idx + move + n) % n;
+    else if (e.key === "Home") target = 0;
+    else if (e.key === "End")  target = n - 1;
+
+    if (target !== null) {
+      e.preventDefault();
+      dismissOrbitals();
+      sliceRefs.current[target]?.focus();
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (activeSlice === idx) dismissOrbitals();
+      else openOrbitals(idx, { fromKeyboard: true });
+    } else if (e.key === "Escape") {
+      dismissOrbitals();
+    }
   };
 
   // ── Pointer / long-press handlers ─────────────────────────────────────────
@@ -430,23 +3802,7 @@ export default function App() {
     longPressTimer.current = setTimeout(() => {
       isLongPress.current = true;
       try { navigator.vibrate?.(30); } catch {}
-
-      const cat      = DEFAULT_CATEGORIES[idx];
-      const midAngle = idx * 45 + 22.5;
-      const orbs     = orbitals[cat.id] || cat.orbitals;
-      const spread   =
-        orbs.length === 3 ? [-38, 0, 38] :
-        orbs.length === 4 ? [-55, -18, 18, 55] :
-                            [-50, -25, 0, 25, 50];
-
-      setOrbitalPositions(
-        orbs.map((_, i) => {
-          const angleDeg = midAngle + spread[i] - 90;
-          const rad      = (angleDeg * Math.PI) / 180;
-          return { x: Math.cos(rad) * 115, y: Math.sin(rad) * 115 };
-        })
-      );
-      setActiveSlice(idx);
+      openOrbitals(idx);
     }, 380);
   };
 
@@ -461,8 +3817,6 @@ export default function App() {
     isLongPress.current = false;
   };
 
-  const dismissOrbitals = () => setActiveSlice(null);
-
   // ── Swipe navigation ──────────────────────────────────────────────────────
   const dragStartX = useRef(null);
   const handleTouchStart = (e) => { dragStartX.current = e.touches[0].clientX; };
@@ -470,7 +3824,7 @@ export default function App() {
     if (dragStartX.current === null) return;
     const dx = e.changedTouches[0].clientX - dragStartX.current;
     if (Math.abs(dx) > 60) {
-      if (dx < 0 && currentView < 2) setCurrentView(v => v + 1);
+      if (dx < 0 && currentView < views.length - 1) setCurrentView(v => v + 1);
       if (dx > 0 && currentView > 0) setCurrentView(v => v - 1);
     }
     dragStartX.current = null;
@@ -482,11 +3836,52 @@ export default function App() {
   const R  = Math.round(PIE_SIZE * 0.429);
   const IR = Math.round(PIE_SIZE * 0.168);
 
+  const todayLogs      = logs[todayStr] || {};
   const loggedToday    = getLoggedCatsToday();
-  const completedCount = loggedToday.size;
-  const views          = ["RITUAL", "WEEKLY", "HISTORY"];
+  const scheduledToday = scheduledOn(cats, todayStr, skips);
+  const completedCount = scheduledToday.filter(c => loggedToday.has(c.id)).length;   // ignores removed categories
+  const views          = ["RITUAL", "WEEKLY", "HISTORY", "INSIGHTS"];
+
+  // ── Reminders ─────────────────────────────────────────────────────────────
+  // The sent list is persisted so a reload doesn't repeat today's nudges.
+  useReminders(
+    () => store && {
+      categories: scheduledToday,
+      loggedToday,
+      settings,
+      sent:  new Set(sentReminders.date === todayStr ? sentReminders.ids : []),
+      today: todayStr,
+    },
+    (today, ids) => setSentReminders(prev => ({
+      date: today,
+      ids:  prev.date === today ? [...prev.ids, ...ids] : ids,
+    })),
+  );
 
   // ── Render ────────────────────────────────────────────────────────────────
+  if (!store) {
+    return (
+      <div style={{ height: "100svh", background: "#080812", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 14, padding: 32 }}>
+        {loadError && (
+          <>
+            <p role="alert" style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", lineHeight: 1.6, textAlign: "center", maxWidth: 300 }}>
+              {loadError} Your data is safe; nothing was changed.
+            </p>
+            <button
+              onClick={() => window.location.reload()}
+              style={{
+                padding: "8px 18px", borderRadius: 8, cursor: "pointer", fontSize: 10, letterSpacing: "0.14em",
+                background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.7)",
+              }}
+            >
+              RELOAD
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div
       style={{
@@ -513,12 +3908,24 @@ export default function App() {
         <div>
           <div style={{ fontSize: 20, letterSpacing: "0.4em", color: "rgba(255,255,255,0.85)", fontWeight: "bold" }}>RITUAL</div>
           <div style={{ fontSize: 10, color: "rgba(255,255,255,0.2)", letterSpacing: "0.12em", marginTop: 2 }}>
-            {new Date().toLocaleDateString("en-US", { weekday: "long", month: "short", day: "numeric" }).toUpperCase()}
+            {new Date(`${todayStr}T12:00`).toLocaleDateString("en-US", { weekday: "long", month: "short", day: "numeric" }).toUpperCase()}
           </div>
         </div>
-        <button onClick={() => setShowSettings(true)} style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10, padding: "8px 9px", cursor: "pointer", color: "rgba(255,255,255,0.35)", display: "flex", alignItems: "center" }}>
-          <Settings size={16} />
-        </button>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button
+            onClick={() => setShowProfiles(true)}
+            aria-label={`Profile: ${profileName(profile)}`}
+            style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10, padding: "8px 10px", cursor: "pointer", color: "rgba(255,255,255,0.35)", display: "flex", alignItems: "center", gap: 6, fontSize: 9, letterSpacing: "0.12em" }}
+          >
+            {profiles.length > 1
+              ? <div style={{ width: 8, height: 8, borderRadius: "50%", background: profileColor(profiles, profile.id) }} />
+              : <Users size={14} />}
+            <span style={{ maxWidth: 72, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{profileName(profile).toUpperCase()}</span>
+          </button>
+          <button onClick={() => setShowSettings(true)} aria-label="Settings" style={{ background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.07)", borderRadius: 10, padding: "8px 9px", cursor: "pointer", color: "rgba(255,255,255,0.35)", display: "flex", alignItems: "center" }}>
+            <Settings size={16} />
+          </button>
+        </div>
       </div>
 
       {/* View tabs — flexShrink:0 */}
@@ -566,10 +3973,16 @@ export default function App() {
             >
               {/* PIE SVG — no position:absolute here so it stays in normal flex  */}
               {/* flow and the centering parent can see its dimensions correctly. */}
-              <div style={{ position: "relative", width: PIE_SIZE, height: PIE_SIZE, flexShrink: 0, margin: "auto" }}>
-                <svg width={PIE_SIZE} height={PIE_SIZE} style={{ display: "block", overflow: "visible" }}>
+              <div ref={pieRef} style={{ position: "relative", width: PIE_SIZE, height: PIE_SIZE, flexShrink: 0, margin: "auto" }}>
+                <svg
+                  width={PIE_SIZE}
+                  height={PIE_SIZE}
+                  role="group"
+                  aria-label={`Today's ritual: ${scheduledToday.length ? `${completedCount} of ${scheduledToday.length} logged` : "rest day"}. Arrow keys move between slices, Enter opens one.`}
+                  style={{ display: "block", overflow: "visible" }}
+                >
                   <defs>
-                    {DEFAULT_CATEGORIES.map(cat => (
+                    {cats.map(cat => (
                       <filter key={cat.id} id={`neon-${cat.id}`} x="-60%" y="-60%" width="220%" height="220%">
                         <feGaussianBlur stdDeviation="6"  result="blur1" />
                         <feGaussianBlur stdDeviation="14" result="blur2" />
@@ -582,113 +3995,320 @@ export default function App() {
                     ))}
                   </defs>
 
-                  {DEFAULT_CATEGORIES.map((cat, i) => {
-                    const a1       = i * 45 + 1;
-                    const a2       = (i + 1) * 45 - 1;
+                  {cats.map((cat, i) => {
+                    const a1       = i * step + 1;
+                    const a2       = (i + 1) * step - 1;
                     const isLogged = loggedToday.has(cat.id);
                     const isActive = activeSlice === i;
+                    const isOff    = !scheduledToday.includes(cat);
                     const outerR   = isActive ? R + 14 : R;
+                    // Slices with a weekly goal fill outward from the hole as the
+                    // week's count approaches the target; the rest stay binary.
+                    const goal     = goalProgress(cat, weekCounts);
+                    const fill     = goal ? Math.min(1, goal.done / goal.target) : null;
+                    // Unscheduled slices fade to a dashed outline unless logged anyway.
+                    const baseOpacity = goal
+                      ? (isActive ? 0.45 : isLogged ? 0.3 : isOff ? 0.06 : 0.14)
+                      : (isLogged ? 1 : isActive ? 0.65 : isOff ? 0.06 : 0.18);
+                    const rovingIdx = Math.min(rovingSlice, cats.length - 1);
+                    const ariaLabel = [
+                      cat.label,
+                      isLogged ? "logged today" : "not logged today",
+                      isOff && "not scheduled today",
+                      goal && `${goal.done} of ${goal.target} this week`,
+                    ].filter(Boolean).join(", ");
                     return (
-                      <motion.path
-                        key={cat.id}
-                        d={donutSlicePath(cx, cy, outerR, IR, a1, a2)}
-                        fill={cat.color}
-                        opacity={isLogged ? 1 : 0.18}
-                        filter={isLogged ? `url(#neon-${cat.id})` : undefined}
-                        animate={{ scale: isActive ? 1.04 : 1, opacity: isLogged ? 1 : isActive ? 0.65 : 0.18 }}
-                        style={{ transformOrigin: `${cx}px ${cy}px`, cursor: "pointer", touchAction: "none" }}
-                        onPointerDown={e => handlePointerDown(i, e)}
-                        onPointerUp={handlePointerUp}
-                        onPointerLeave={handlePointerLeave}
-                        onPointerCancel={handlePointerUp}
-                      />
+                      <g key={cat.id}>
+                        <motion.path
+                          ref={el => { sliceRefs.current[i] = el; }}
+                          className="ritual-slice"
+                          role="button"
+                          tabIndex={i === rovingIdx ? 0 : -1}
+                          aria-label={ariaLabel}
+                          aria-expanded={isActive}
+                          onKeyDown={e => handleSliceKeyDown(i, e)}
+                          onFocus={e => { setRovingSlice(i); setSliceRing(e.target.matches(":focus-visible")); }}
+                          onBlur={() => setSliceRing(false)}
+                          d={donutSlicePath(cx, cy, outerR, IR, a1, a2)}
+                          fill={cat.color}
+                          opacity={baseOpacity}
+                          filter={isLogged && !goal ? `url(#neon-${cat.id})` : undefined}
+                          animate={{ scale: isActive ? 1.04 : 1, opacity: baseOpacity }}
+                          style={{ transformOrigin: `${cx}px ${cy}px`, cursor: "pointer", touchAction: "none" }}
+                          onPointerDown={e => handlePointerDown(i, e)}
+                          onPointerUp={handlePointerUp}
+                          onPointerLeave={handlePointerLeave}
+                          onPointerCancel={handlePointerUp}
+                        />
+                        {isOff && !isLogged && (
+                          <path
+                            d={donutSlicePath(cx, cy, outerR - 1, IR + 1, a1 + 0.5, a2 - 0.5)}
+                            fill="none"
+                            stroke={cat.color}
+                            strokeOpacity={0.4}
+                            strokeDasharray="3 4"
+                            style={{ pointerEvents: "none" }}
+                          />
+                        )}
+                        {fill > 0 && (
+                          <motion.path
+                            d={donutSlicePath(cx, cy, IR + (outerR - IR) * fill, IR, a1, a2)}
+                            fill={cat.color}
+                            filter={isLogged || fill >= 1 ? `url(#neon-${cat.id})` : undefined}
+                            animate={{ scale: isActive ? 1.04 : 1, opacity: fill >= 1 || isLogged ? 1 : 0.7 }}
+                            style={{ transformOrigin: `${cx}px ${cy}px`, pointerEvents: "none" }}
+                          />
+                        )}
+                        {sliceRing && i === rovingIdx && (
+                          <path
+                            d={donutSlicePath(cx, cy, outerR + 3, IR - 1, a1 - 0.5, a2 + 0.5)}
+                            fill="none"
+                            stroke="rgba(255,255,255,0.85)"
+                            strokeWidth={1.5}
+                            style={{ pointerEvents: "none" }}
+                          />
+                        )}
+                      </g>
                     );
                   })}
 
-                  {/* Donut hole */}
-                  <circle cx={cx} cy={cy} r={IR - 3} fill="#080812" />
+                  {/* Donut hole — tap to review today's entries */}
+                  <circle
+                    className="ritual-hole"
+                    cx={cx} cy={cy} r={IR - 3} fill="#080812" style={{ cursor: "pointer" }}
+                    role="button"
+                    tabIndex={0}
+                    aria-label="Review today's entries"
+                    onClick={() => setDetailDate(todayStr)}
+                    onKeyDown={e => {
+                      if (e.key !== "Enter" && e.key !== " ") return;
+                      e.preventDefault();
+                      setDetailDate(todayStr);
+                    }}
+                  />
                   <circle cx={cx} cy={cy} r={IR - 3} fill="none" stroke="rgba(255,255,255,0.04)" strokeWidth={1.5} />
 
-                  {/* Center count */}
-                  <text x={cx} y={cy - 7} textAnchor="middle" fill="rgba(255,255,255,0.7)" fontSize={18} fontFamily="'Space Mono',monospace" fontWeight="bold">{completedCount}</text>
-                  <text x={cx} y={cy + 9} textAnchor="middle" fill="rgba(255,255,255,0.2)" fontSize={9}  fontFamily="'Space Mono',monospace" letterSpacing="2">OF 8</text>
+                  {/* Center count and emoji labels — decorative, the slices carry the labels */}
+                  <g aria-hidden="true">
+                    <text x={cx} y={cy - 7} textAnchor="middle" fill="rgba(255,255,255,0.7)" fontSize={18} fontFamily="'Space Mono',monospace" fontWeight="bold" style={{ pointerEvents: "none" }}>{scheduledToday.length ? completedCount : "—"}</text>
+                    <text x={cx} y={cy + 9} textAnchor="middle" fill="rgba(255,255,255,0.2)" fontSize={9}  fontFamily="'Space Mono',monospace" letterSpacing="2" style={{ pointerEvents: "none" }}>{scheduledToday.length ? `OF ${scheduledToday.length}` : "REST"}</text>
 
-                  {/* Emoji labels */}
-                  {DEFAULT_CATEGORIES.map((cat, i) => {
-                    const midAngle = (i * 45 + 22.5 - 90) * (Math.PI / 180);
-                    const labelR   = R * 0.75;
-                    const lx = cx + labelR * Math.cos(midAngle);
-                    const ly = cy + labelR * Math.sin(midAngle);
-                    return (
-                      <text key={cat.id} x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" fontSize={17}
-                        style={{ pointerEvents: "none", userSelect: "none" }}
-                        opacity={loggedToday.has(cat.id) ? 1 : 0.45}
-                      >
-                        {cat.emoji}
-                      </text>
-                    );
-                  })}
+                    {cats.map((cat, i) => {
+                      const midAngle = (i * step + step / 2 - 90) * (Math.PI / 180);
+                      const labelR   = R * 0.75;
+                      const lx = cx + labelR * Math.cos(midAngle);
+                      const ly = cy + labelR * Math.sin(midAngle);
+                      const logged = loggedToday.has(cat.id);
+                      const off    = !scheduledToday.includes(cat);
+                      return (
+                        <g key={cat.id} style={{ pointerEvents: "none", userSelect: "none" }}>
+                          <text x={lx} y={ly} textAnchor="middle" dominantBaseline="middle" fontSize={step >= 40 ? 17 : 13} opacity={logged ? 1 : off ? 0.2 : 0.45}>
+                            {cat.emoji}
+                          </text>
+                          {/* Logged mark, so state doesn't rest on brightness alone */}
+                          {logged && (
+                            <text x={lx} y={ly + (step >= 40 ? 15 : 12)} textAnchor="middle" dominantBaseline="middle" fontSize={9} fontWeight="bold" fill="rgba(255,255,255,0.9)">
+                              ✓
+                            </text>
+                          )}
+                        </g>
+                      );
+                    })}
+                  </g>
                 </svg>
 
                 {/* Orbital buttons */}
-                <AnimatePresence>
-                  {activeSlice !== null && (() => {
-                    const cat  = DEFAULT_CATEGORIES[activeSlice];
-                    const orbs = orbitals[cat.id] || cat.orbitals;
-                    return orbs.map((orb, i) => {
-                      const pos = orbitalPositions[i] || { x: 0, y: 0 };
-                      return (
-                        <motion.button
-                          key={`orb-${activeSlice}-${i}`}
-                          initial={{ opacity: 0, scale: 0, x: 0, y: 0 }}
-                          animate={{ opacity: 1, scale: 1, x: pos.x, y: pos.y }}
-                          exit={{ opacity: 0, scale: 0, x: 0, y: 0 }}
-                          transition={{ delay: i * 0.065, type: "spring", stiffness: 350, damping: 22 }}
-                          onClick={() => logActivity(cat.id, orb)}
-                          style={{
-                            position: "absolute", left: "50%", top: "50%",
-                            marginLeft: -34, marginTop: -34,
-                            width: 68, height: 68, borderRadius: "50%",
-                            background: `radial-gradient(circle at 35% 35%, ${cat.color}ee, ${cat.color}88)`,
-                            boxShadow: `0 0 16px rgba(${cat.neon},0.6), 0 0 32px rgba(${cat.neon},0.3), inset 0 1px 0 rgba(255,255,255,0.25)`,
-                            border: `1.5px solid rgba(${cat.neon},0.5)`,
-                            display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
-                            cursor: "pointer", zIndex: 50,
-                            color: "rgba(0,0,0,0.8)", fontSize: 9, fontWeight: "bold",
-                            letterSpacing: "0.06em", textAlign: "center", lineHeight: 1.2, padding: 6,
-                            fontFamily: "'Space Mono',monospace",
-                          }}
-                        >
-                          {orb}
-                        </motion.button>
-                      );
-                    });
-                  })()}
-                </AnimatePresence>
+                <div
+                  ref={orbitalsRef}
+                  role="group"
+                  aria-label={activeSlice !== null ? `${cats[activeSlice]?.label} orbitals` : undefined}
+                  onKeyDown={e => { if (e.key === "Escape") dismissOrbitals(); }}
+                >
+                  <AnimatePresence>
+                    {activeSlice !== null && (() => {
+                      const cat  = cats[activeSlice];
+                      const orbs = cat.orbitals;
+                      return orbs.map((orb, i) => {
+                        const pos   = orbitalPositions[i] || { x: 0, y: 0 };
+                        const unit  = findUnit(orb.unit);
+                        const entry = todayLogs[`${cat.id}:${orb.id}`];
+                        return (
+                          <motion.button
+                            key={`orb-${activeSlice}-${orb.id}`}
+                            initial={{ opacity: 0, scale: 0, x: 0, y: 0 }}
+                            animate={{ opacity: 1, scale: 1, x: pos.x, y: pos.y }}
+                            exit={{ opacity: 0, scale: 0, x: 0, y: 0 }}
+                            transition={{ delay: i * 0.065, type: "spring", stiffness: 350, damping: 22 }}
+                            onClick={() => {
+                              if (orbLongPress.current) { orbLongPress.current = false; return; }
+                              if (unit) setQuickAdd({ catId: cat.id, orbId: orb.id });
+                              else logActivity(cat.id, orb.id);
+                            }}
+                            onPointerDown={() => {
+                              orbLongPress.current = false;
+                              clearTimeout(orbPressTimer.current);
+                              orbPressTimer.current = setTimeout(() => {
+                                orbLongPress.current = true;
+                                try { navigator.vibrate?.(30); } catch { /* no haptics */ }
+                                openTimerSetup(cat.id, orb.id);
+                              }, 450);
+                            }}
+                            onPointerUp={() => clearTimeout(orbPressTimer.current)}
+                            onPointerLeave={() => clearTimeout(orbPressTimer.current)}
+                            onContextMenu={e => e.preventDefault()}
+                            onKeyDown={e => {
+                              if (e.key !== "t" && e.key !== "T") return;
+                              e.preventDefault();
+                              openTimerSetup(cat.id, orb.id);
+                            }}
+                            aria-label={`Log ${orb.label}${orb.weeklyGoal > 0 ? `, ${weekCounts.orbs[`${cat.id}:${orb.id}`] || 0} of ${orb.weeklyGoal} this week` : ""}. Long-press or T for a timer`}
+                            aria-haspopup={unit ? "dialog" : undefined}
+                            aria-keyshortcuts="T"
+                            style={{
+                              position: "absolute", left: "50%", top: "50%",
+                              marginLeft: -ORBITAL_SIZE / 2, marginTop: -ORBITAL_SIZE / 2,
+                              width: ORBITAL_SIZE, height: ORBITAL_SIZE, borderRadius: "50%",
+                              background: `radial-gradient(circle at 35% 35%, ${cat.color}ee, ${cat.color}88)`,
+                              boxShadow: `0 0 16px rgba(${cat.neon},0.6), 0 0 32px rgba(${cat.neon},0.3), inset 0 1px 0 rgba(255,255,255,0.25)`,
+                              border: `1.5px solid rgba(${cat.neon},0.5)`,
+                              display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
+                              cursor: "pointer", zIndex: 50,
+                              color: "rgba(0,0,0,0.8)", fontSize: 9, fontWeight: "bold",
+                              letterSpacing: "0.06em", textAlign: "center", lineHeight: 1.2, padding: 6,
+                              fontFamily: "'Space Mono',monospace",
+                            }}
+                          >
+                            {orb.label}
+                            {entry !== undefined && (unit || entryCount(entry) > 1) && (
+                              <span style={{ fontSize: 8, opacity: 0.6, marginTop: 2 }}>
+                                {unit ? formatAmount(entryAmount(entry), unit) : `×${entryCount(entry)}`}
+                              </span>
+                            )}
+                            {orb.weeklyGoal > 0 && (
+                              <span style={{ fontSize: 8, opacity: 0.6, marginTop: 2 }}>
+                                {weekCounts.orbs[`${cat.id}:${orb.id}`] || 0}/{orb.weeklyGoal}
+                              </span>
+                            )}
+                          </motion.button>
+                        );
+                      });
+                    })()}
+                  </AnimatePresence>
+                </div>
 
                 {/* Dismiss-orbitals backdrop */}
                 {activeSlice !== null && (
-                  <div onClick={dismissOrbitals} style={{ position: "fixed", inset: 0, zIndex: 30, background: "rgba(0,0,0,0.4)", backdropFilter: "blur(1px)" }} />
+                  <div aria-hidden="true" onClick={dismissOrbitals} style={{ position: "fixed", inset: 0, zIndex: 30, background: "rgba(0,0,0,0.4)", backdropFilter: "blur(1px)" }} />
                 )}
+
+                {/* Quick-add amounts for an orbital with a unit */}
+                <AnimatePresence>
+                  {quickAdd && (() => {
+                    const cat  = cats.find(c => c.id === quickAdd.catId);
+                    const orb  = cat?.orbitals.find(o => o.id === quickAdd.orbId);
+                    const unit = findUnit(orb?.unit);
+                    if (!unit) return null;
+                    const entry = todayLogs[`${cat.id}:${orb.id}`];
+                    return (
+                      <motion.div
+                        key="quick-add"
+                        role="dialog"
+                        aria-label={`Add ${orb.label}`}
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 20 }}
+                        onKeyDown={e => { if (e.key === "Escape") setQuickAdd(null); }}
+                        style={{
+                          position: "fixed", left: 16, right: 16, bottom: "calc(env(safe-area-inset-bottom, 0px) + 24px)", zIndex: 60,
+                          background: "#0c0c18", border: `1px solid rgba(${cat.neon},0.3)`, borderRadius: 14, padding: "12px 14px",
+                        }}
+                      >
+                        <div style={{ display: "flex", alignItems: "center", marginBottom: 10, fontSize: 10, letterSpacing: "0.12em", color: "rgba(255,255,255,0.5)" }}>
+                          <span style={{ flex: 1 }}>
+                            {orb.label.toUpperCase()} · {unit.label}
+                            {entry !== undefined && <span style={{ color: "rgba(255,255,255,0.3)" }}> · TODAY {formatAmount(entryAmount(entry), unit)}</span>}
+                          </span>
+                          <button
+                            onClick={() => openTimerSetup(cat.id, orb.id)}
+                            style={{ background: "rgba(255,255,255,0.06)", border: "none", borderRadius: 6, padding: "3px 8px", cursor: "pointer", color: "rgba(255,255,255,0.6)", fontSize: 9, letterSpacing: "0.12em", marginRight: 4 }}
+                          >
+                            TIMER
+                          </button>
+                          <button onClick={() => setQuickAdd(null)} aria-label="Close" style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: 4 }}>
+                            <X size={14} />
+                          </button>
+                        </div>
+                        <QuickAmounts key={`${cat.id}:${orb.id}`} unit={unit} color={cat.color} onPick={n => logActivity(cat.id, orb.id, n)} />
+                      </motion.div>
+                    );
+                  })()}
+                </AnimatePresence>
+
+                {/* Focus timer setup */}
+                <AnimatePresence>
+                  {timerSetup && (() => {
+                    const cat = cats.find(c => c.id === timerSetup.catId);
+                    const orb = cat?.orbitals.find(o => o.id === timerSetup.orbId);
+                    if (!orb) return null;
+                    return (
+                      <motion.div
+                        key="timer-setup"
+                        role="dialog"
+                        aria-label={`${orb.label} timer`}
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 20 }}
+                        onKeyDown={e => { if (e.key === "Escape") setTimerSetup(null); }}
+                        style={{
+                          position: "fixed", left: 16, right: 16, bottom: "calc(env(safe-area-inset-bottom, 0px) + 24px)", zIndex: 60,
+                          background: "#0c0c18", border: `1px solid rgba(${cat.neon},0.3)`, borderRadius: 14, padding: "12px 14px",
+                        }}
+                      >
+                        <TimerSetup
+                          cat={cat}
+                          orb={orb}
+                          onStart={(mode, minutes) => startTimer(cat.id, orb.id, mode, minutes)}
+                          onClose={() => setTimerSetup(null)}
+                        />
+                      </motion.div>
+                    );
+                  })()}
+                </AnimatePresence>
               </div>
 
               {/* Legend — grid-cols-2 gap-2, text-xs (12px) */}
               <div className="grid grid-cols-2 gap-2 w-full px-8 mt-4" style={{ maxWidth: 340 }}>
-                {DEFAULT_CATEGORIES.map(cat => (
+                {cats.map(cat => (
                   <div key={cat.id} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    {/* Filled when logged, hollow when not */}
                     <div style={{
                       width: 7, height: 7, borderRadius: "50%", flexShrink: 0,
-                      background: cat.color,
-                      opacity: loggedToday.has(cat.id) ? 1 : 0.3,
+                      background: loggedToday.has(cat.id) ? cat.color : "transparent",
+                      border: `1.5px solid ${cat.color}`,
+                      opacity: loggedToday.has(cat.id) ? 1 : 0.5,
                       boxShadow: loggedToday.has(cat.id) ? `0 0 6px rgba(${cat.neon},0.8)` : "none",
                     }} />
                     <span style={{ fontSize: 12, color: "rgba(255,255,255,0.35)", letterSpacing: "0.04em" }}>
                       {cat.label.split("/")[0].toUpperCase()}
+                      <span className="sr-only">{loggedToday.has(cat.id) ? ", logged" : ", not logged"}</span>
                     </span>
+                    {streaks[cat.id]?.current > 1 && (
+                      <span style={{ display: "flex", alignItems: "center", gap: 1, fontSize: 10, color: cat.color, opacity: 0.7 }}>
+                        <Flame size={10} />{streaks[cat.id].current}
+                      </span>
+                    )}
                   </div>
                 ))}
               </div>
 
+              {/* Whole-ring streak */}
+              <p style={{ marginTop: 10, fontSize: 9, color: "rgba(255,255,255,0.25)", letterSpacing: "0.16em" }}>
+                FULL RING {streaks[STREAK_ALL].current}D · BEST {streaks[STREAK_ALL].longest}D
+              </p>
+
+              {/* Today's timeline */}
+              <TodayTimeline dayLogs={logs[todayStr]} categories={cats} onOpen={() => setDetailDate(todayStr)} />
+
               {/* Hint text — 11px with bottom breathing room */}
               <p style={{ marginTop: 12, marginBottom: 8, fontSize: 11, color: "rgba(255,255,255,0.2)", letterSpacing: "0.2em" }}>
                 HOLD A SLICE TO ACTIVATE
@@ -711,8 +4331,8 @@ export default function App() {
                     }}
                   >
                     <svg width={16} height={16} style={{ flexShrink: 0 }}>
-                      {DEFAULT_CATEGORIES.map((cat, i) => (
-                        <path key={cat.id} d={donutSlicePath(8, 8, 7.5, 3.5, i * 45, i * 45 + 43)} fill={cat.color} opacity={0.6} />
+                      {cats.map((cat, i) => (
+                        <path key={cat.id} d={donutSlicePath(8, 8, 7.5, 3.5, i * step, (i + 1) * step - Math.min(2, step / 4))} fill={cat.color} opacity={0.6} />
                       ))}
                     </svg>
                     NEW DAY — SLATE IS CLEAN
@@ -724,20 +4344,49 @@ export default function App() {
               <AnimatePresence>
                 {justLogged && (
                   <motion.div
+                    role="status"
                     initial={{ opacity: 0, y: 16 }}
                     animate={{ opacity: 1, y: 0 }}
                     exit={{ opacity: 0, y: -12 }}
                     style={{
                       marginTop: 10,
-                      background: `rgba(${DEFAULT_CATEGORIES.find(c => c.id === justLogged.catId)?.neon},0.12)`,
-                      border: `1px solid rgba(${DEFAULT_CATEGORIES.find(c => c.id === justLogged.catId)?.neon},0.3)`,
+                      background: `rgba(${cats.find(c => c.id === justLogged.catId)?.neon},0.12)`,
+                      border: `1px solid rgba(${cats.find(c => c.id === justLogged.catId)?.neon},0.3)`,
                       borderRadius: 10, padding: "7px 16px",
                       fontSize: 11, color: "rgba(255,255,255,0.65)", letterSpacing: "0.1em",
                       display: "flex", alignItems: "center", gap: 7,
                     }}
                   >
-                    <Check size={12} color={DEFAULT_CATEGORIES.find(c => c.id === justLogged.catId)?.color} />
-                    {justLogged.orbital} logged
+                    <Check size={12} color={cats.find(c => c.id === justLogged.catId)?.color} />
+                    {orbitalLabel(cats, justLogged.catId, justLogged.orbId)}
+                    {justLogged.amount
+                      ? ` +${formatAmount(justLogged.amount, orbitalUnit(cats, justLogged.catId, justLogged.orbId) || ORBITAL_UNITS[0])}`
+                      : justLogged.prev !== undefined ? ` ×${entryCount(justLogged.prev) + 1}` : " logged"}
+                    <button
+                      onClick={undoLog}
+                      style={{
+                        marginLeft: 6, background: "rgba(255,255,255,0.08)", border: "none", borderRadius: 6,
+                        padding: "3px 8px", cursor: "pointer", color: "rgba(255,255,255,0.7)",
+                        fontSize: 10, letterSpacing: "0.12em", display: "flex", alignItems: "center", gap: 4,
+                      }}
+                    >
+                      <Undo2 size={11} /> UNDO
+                    </button>
+                    <button
+                      onClick={() => {
+                        setNoteKey(justLogged.key);
+                        setDetailDate(justLogged.date);
+                        clearTimeout(toastTimer.current);
+                        setJustLogged(null);
+                      }}
+                      style={{
+                        background: "rgba(255,255,255,0.08)", border: "none", borderRadius: 6,
+                        padding: "3px 8px", cursor: "pointer", color: "rgba(255,255,255,0.7)",
+                        fontSize: 10, letterSpacing: "0.12em", display: "flex", alignItems: "center", gap: 4,
+                      }}
+                    >
+                      <PenLine size={11} /> NOTE
+                    </button>
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -755,12 +4404,67 @@ export default function App() {
               className="h-full w-full overflow-y-auto"
               style={{ padding: "16px 18px 32px" }}
             >
-              <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", letterSpacing: "0.2em", textAlign: "center", marginBottom: 18 }}>
-                THIS WEEK'S RITUAL LOG
-              </p>
-              <WeeklyChart logs={logs} categories={DEFAULT_CATEGORIES} />
+              <div style={{ display: "flex", alignItems: "center", justifyContent: "center", gap: 6, marginBottom: 10 }}>
+                <button onClick={() => stepWeek(-1)} aria-label="Previous week" style={{ background: "none", border: "none", padding: "2px 10px", fontSize: 14, cursor: "pointer", color: "rgba(255,255,255,0.4)" }}>‹</button>
+                <div style={{ textAlign: "center", minWidth: 150 }}>
+                  <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", letterSpacing: "0.2em" }}>
+                    {weekOffset === 0 ? "THIS WEEK" : weekOffset === -1 ? "LAST WEEK" : `${-weekOffset} WEEKS AGO`}
+                  </p>
+                  <p style={{ fontSize: 10, color: "rgba(255,255,255,0.4)", letterSpacing: "0.12em", marginTop: 2 }}>
+                    {shortDate(viewedWeek[0])} – {shortDate(viewedWeek[6])}
+                  </p>
+                </div>
+                <button
+                  onClick={() => stepWeek(1)}
+                  disabled={weekOffset === 0}
+                  aria-label="Next week"
+                  style={{ background: "none", border: "none", padding: "2px 10px", fontSize: 14, cursor: weekOffset ? "pointer" : "default", color: "rgba(255,255,255,0.4)", opacity: weekOffset ? 1 : 0.2 }}
+                >
+                  ›
+                </button>
+              </div>
+              <div style={{ display: "flex", justifyContent: "center", gap: 4, marginBottom: 14 }}>
+                {WEEK_COMPARE_MODES.map(m => (
+                  <button
+                    key={m.id}
+                    onClick={() => setWeekCompare(m.id)}
+                    style={{
+                      fontSize: 8, letterSpacing: "0.14em", padding: "4px 10px", borderRadius: 14, cursor: "pointer",
+                      background: weekCompare === m.id ? "rgba(255,255,255,0.1)" : "transparent",
+                      border: weekCompare === m.id ? "1px solid rgba(255,255,255,0.15)" : "1px solid rgba(255,255,255,0.04)",
+                      color: weekCompare === m.id ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.25)",
+                    }}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+              {usedUnits.length > 0 && (
+                <div style={{ display: "flex", justifyContent: "center", gap: 4, marginBottom: 14 }}>
+                  {[{ id: "times", label: "TIMES" }, ...usedUnits].map(m => {
+                    const active = (metricUnit?.id || "times") === m.id;
+                    return (
+                      <button
+                        key={m.id}
+                        onClick={() => setWeekMetric(m.id)}
+                        style={{
+                          fontSize: 8, letterSpacing: "0.14em", padding: "4px 10px", borderRadius: 14, cursor: "pointer",
+                          background: active ? "rgba(255,255,255,0.1)" : "transparent",
+                          border: active ? "1px solid rgba(255,255,255,0.15)" : "1px solid rgba(255,255,255,0.04)",
+                          color: active ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.25)",
+                        }}
+                      >
+                        {m.label}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              <WeeklyChart logs={logs} categories={cats} dates={viewedWeek} weekStart={settings.weekStart} unit={metricUnit} baseline={baseline} onStep={stepWeek} />
+              {baseline && <WeekDeltaList categories={cats} counts={viewedTotals} baseline={baseline} label={compareMode.label} />}
+              <GoalProgressList categories={cats} counts={viewedCounts} />
               <div style={{ marginTop: 20, display: "flex", flexWrap: "wrap", gap: "6px 14px", justifyContent: "center" }}>
-                {DEFAULT_CATEGORIES.map(cat => (
+                {cats.map(cat => (
                   <div key={cat.id} style={{ display: "flex", alignItems: "center", gap: 5 }}>
                     <div style={{ width: 8, height: 8, borderRadius: 2, background: cat.color }} />
                     <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)" }}>{cat.label.split("/")[0]}</span>
@@ -784,11 +4488,23 @@ export default function App() {
               <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", letterSpacing: "0.2em", textAlign: "center", marginBottom: 18 }}>
                 RITUAL HISTORY
               </p>
-              <HeatmapCalendar logs={logs} categories={DEFAULT_CATEGORIES} />
+              <HeatmapCalendar logs={logs} categories={cats} today={todayStr} weekStart={settings.weekStart} skips={skips} onSelectDay={setDetailDate} />
+              <StreakTable streaks={streaks} categories={cats} />
+              {profiles.length > 1 && (
+                <HouseholdHeatmap
+                  profiles={profiles}
+                  profile={profile}
+                  categories={categories}
+                  orbitals={orbitals}
+                  logs={logs}
+                  today={todayStr}
+                  weekStart={settings.weekStart}
+                />
+              )}
               <div style={{ marginTop: 20 }}>
                 <p style={{ fontSize: 9, color: "rgba(255,255,255,0.15)", letterSpacing: "0.15em", marginBottom: 10 }}>RING SEGMENTS</p>
                 <div style={{ display: "flex", flexWrap: "wrap", gap: "6px 14px" }}>
-                  {DEFAULT_CATEGORIES.map(cat => (
+                  {cats.map(cat => (
                     <div key={cat.id} style={{ display: "flex", alignItems: "center", gap: 5 }}>
                       <div style={{ width: 7, height: 7, borderRadius: "50%", background: cat.color }} />
                       <span style={{ fontSize: 9, color: "rgba(255,255,255,0.25)" }}>{cat.label.split("/")[0]}</span>
@@ -799,30 +4515,208 @@ export default function App() {
             </motion.div>
           )}
 
+          {/* ── VIEW 3: INSIGHTS ────────────────────────────────────────── */}
+          {currentView === 3 && (
+            <motion.div
+              key="insights-view"
+              initial={{ opacity: 0, x: 60 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -60 }}
+              transition={{ duration: 0.22, ease: "easeOut" }}
+              className="h-full w-full overflow-y-auto"
+              style={{ padding: "16px 18px 40px" }}
+            >
+              <p style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", letterSpacing: "0.2em", textAlign: "center", marginBottom: 18 }}>
+                RITUAL INSIGHTS
+              </p>
+              <InsightsView logs={logs} categories={cats} today={todayStr} neglectDays={settings.neglectDays} dayStartHour={settings.dayStartHour} skips={skips} />
+            </motion.div>
+          )}
+
         </AnimatePresence>
       </div>
 
+      {/* Running focus session */}
+      <AnimatePresence>
+        {timer && cats.some(c => c.id === timer.catId) && (
+          <TimerBar
+            timer={timer}
+            cat={cats.find(c => c.id === timer.catId)}
+            label={orbitalLabel(cats, timer.catId, timer.orbId)}
+            now={timerNow}
+            onPause={pauseTimer}
+            onResume={resumeTimer}
+            onFinish={finishTimer}
+            onCancel={cancelTimer}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {celebration && cats.some(c => c.id === celebration.catId) && (
+          <TimerCelebration
+            key={celebration.id}
+            cat={cats.find(c => c.id === celebration.catId)}
+            onDone={() => setCelebration(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Save-failed banner */}
+      <AnimatePresence>
+        {saveError && (
+          <motion.div
+            role="alert"
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            style={{
+              position: "fixed", left: 16, right: 16, top: "calc(env(safe-area-inset-top, 0px) + 16px)", zIndex: 90,
+              background: "#0c0c18", border: "1px solid rgba(255,59,48,0.3)", borderRadius: 12,
+              padding: "10px 12px 10px 16px", display: "flex", alignItems: "center", gap: 10,
+              fontSize: 11, color: "rgba(255,255,255,0.6)", letterSpacing: "0.06em", lineHeight: 1.5,
+            }}
+          >
+            <span style={{ flex: 1 }}>
+              <span style={{ color: "rgba(255,80,70,0.8)", letterSpacing: "0.12em" }}>NOT SAVED</span> · {saveError.message || "Storage error"}. Changes are kept and retried.
+            </span>
+            <button
+              onClick={() => setSaveError(null)}
+              aria-label="Dismiss"
+              style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: 4 }}
+            >
+              <X size={14} />
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Update-available banner */}
+      <AnimatePresence>
+        {needRefresh && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 20 }}
+            style={{
+              position: "fixed", left: 16, right: 16, bottom: `calc(env(safe-area-inset-bottom, 0px) + ${timer ? 96 : 16}px)`, zIndex: 90,
+              background: "#0c0c18", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 12,
+              padding: "10px 12px 10px 16px", display: "flex", alignItems: "center", gap: 10,
+              fontSize: 11, color: "rgba(255,255,255,0.6)", letterSpacing: "0.12em",
+            }}
+          >
+            <span style={{ flex: 1 }}>UPDATE AVAILABLE</span>
+            <button
+              onClick={() => updateServiceWorker(true)}
+              style={{ background: "rgba(255,255,255,0.1)", border: "none", borderRadius: 8, padding: "6px 10px", cursor: "pointer", color: "rgba(255,255,255,0.8)", fontSize: 10, letterSpacing: "0.12em" }}
+            >
+              RELOAD
+            </button>
+            <button
+              onClick={() => setNeedRefresh(false)}
+              style={{ background: "none", border: "none", cursor: "pointer", color: "rgba(255,255,255,0.3)", display: "flex", padding: 4 }}
+            >
+              <X size={14} />
+            </button>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Day detail */}
+      <AnimatePresence>
+        {detailDate && (
+          <DayDetailSheet
+            date={detailDate}
+            today={todayStr}
+            dayStartHour={settings.dayStartHour}
+            logs={logs}
+            categories={cats}
+            pastCategories={pastCats}
+            skips={skips}
+            editKey={noteKey}
+            onLog={logOnDate}
+            onDelete={unlogEntry}
+            onSetTime={setEntryTime}
+            onSetNote={setEntryNote}
+            onOpenJournal={date => { setDetailDate(null); setNoteKey(null); setJournalDate(date); }}
+            onToggleSkip={toggleSkip}
+            onClose={() => { setDetailDate(null); setNoteKey(null); }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Journal */}
+      <AnimatePresence>
+        {journalDate && (
+          <JournalSheet
+            logs={logs}
+            categories={[...cats, ...pastCats]}
+            focusDate={journalDate}
+            onSelectDay={date => { setJournalDate(null); setDetailDate(date); }}
+            onClose={() => setJournalDate(null)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Settings */}
       <AnimatePresence>
         {showSettings && (
           <SettingsPanel
+            categories={categories}
             orbitals={orbitals}
-            setOrbitals={orbs => { setOrbitals(orbs); localStorage.setItem("ritual_orbitals", JSON.stringify(orbs)); }}
-            onClearData={() => { setLogs({}); localStorage.removeItem("ritual_logs"); }}
+            settings={settings}
+            snapshot={{ logs, categories, orbitals, settings, skips }}
+            onSettingsChange={patch => setSettings(prev => ({ ...prev, ...patch }))}
+            syncStatus={syncStatus}
+            onSyncNow={() => runSyncRef.current()}
+            onImport={(data, mode) => {
+              if (mode === "replace") clearStoredLogs();
+              setLogs(data.logs);
+              setCategories(data.categories);
+              setOrbitals(data.orbitals);
+              setSettings(data.settings);
+              setSkips(data.skips);
+              setActiveSlice(null);
+              queueConfigSync({ categories: data.categories, orbitals: data.orbitals, skips: data.skips });
+            }}
+            onSave={(nextCats, nextOrbs) => {
+              setCategories(nextCats);
+              setOrbitals(nextOrbs);
+              setActiveSlice(null);
+              queueConfigSync({ categories: nextCats, orbitals: nextOrbs });
+            }}
+            onClearData={() => setLogs({})}
             onClose={() => setShowSettings(false)}
           />
         )}
       </AnimatePresence>
 
+      {/* Profiles */}
+      <AnimatePresence>
+        {showProfiles && (
+          <ProfileSheet
+            profiles={profiles}
+            activeId={profile.id}
+            {...profileActions}
+            onClose={() => setShowProfiles(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Global styles */}
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Space+Mono:wght@400;700&display=swap');
         * { box-sizing: border-box; -webkit-tap-highlight-color: transparent; }
         button { font-family: 'Space Mono', monospace; }
         input  { font-family: 'Space Mono', monospace; }
         ::-webkit-scrollbar       { width: 4px; }
         ::-webkit-scrollbar-track { background: transparent; }
         ::-webkit-scrollbar-thumb { background: rgba(255,255,255,0.08); border-radius: 4px; }
+        .sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+        .ritual-slice:focus { outline: none; }
+        .ritual-hole:focus-visible { outline: none; stroke: rgba(255,255,255,0.6); stroke-width: 1.5; }
+        button:focus-visible, input:focus-visible, select:focus-visible { outline: 1.5px solid rgba(255,255,255,0.6); outline-offset: 2px; }
+        @media (prefers-reduced-motion: reduce) {
+          *, *::before, *::after { transition-duration: 0.01ms !important; animation-duration: 0.01ms !important; scroll-behavior: auto !important; }
+        }
       `}</style>
     </div>
   );
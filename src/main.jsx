@@ -1,10 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { MotionConfig } from 'framer-motion'
+import '@fontsource/space-mono/400.css'
+import '@fontsource/space-mono/700.css'
 import './index.css'
 import App from './App.jsx'
 
+// reducedMotion="user": framer-motion skips transform and layout animations
+// when the OS asks for reduced motion; opacity fades still run.
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <MotionConfig reducedMotion="user">
+      <App />
+    </MotionConfig>
   </StrictMode>,
 )
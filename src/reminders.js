@@ -0,0 +1,120 @@
+// ─── REMINDERS ───────────────────────────────────────────────────────────────
+// Local nudges for categories that are still dark. There is no push server:
+// checks run once a minute while the app (or its PWA window) is alive, and
+// notifications go through the service worker when one is active so they
+// also show from a backgrounded home-screen app.
+//
+// Categories may carry `reminder: { start: "HH:MM", end: "HH:MM" }`. Once a
+// window closes with nothing logged in that category, one notification fires.
+// An optional evening summary lists every slice still dark. Each reminder
+// fires at most once per day, only within REMINDER_GRACE_MIN of its time
+// (so opening the app at night doesn't replay the morning), and never during
+// quiet hours. The grace period runs past midnight but not past the start of
+// the next ritual day (`dayStartHour`), so every reminder is checked and
+// recorded against the day it belongs to.
+
+import { useEffect, useRef } from "react";
+
+export const REMINDER_GRACE_MIN = 60;
+export const SUMMARY_ID = "__summary";
+
+// "HH:MM" → minutes after midnight.
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Whether `minute` falls in [start, end), where the range may wrap midnight.
+const inRange = (minute, start, end) =>
+  start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+
+export const inQuietHours = (date, { quietStart, quietEnd }) =>
+  !!quietStart && !!quietEnd && quietStart !== quietEnd &&
+  inRange(date.getHours() * 60 + date.getMinutes(), toMinutes(quietStart), toMinutes(quietEnd));
+
+// Notifications due at `now`: [{ id, title, body }]. `sent` holds the ids
+// already fired today.
+export const dueReminders = ({ now, categories, loggedToday, settings, sent }) => {
+  const prefs = settings.reminders;
+  if (!prefs?.enabled || inQuietHours(now, prefs)) return [];
+
+  // Minutes into the ritual day, so a 23:30 time is still "just passed" at 00:10.
+  const dayStart = (settings.dayStartHour || 0) * 60;
+  const ofDay    = (m) => (m - dayStart + 1440) % 1440;
+  const minute   = ofDay(now.getHours() * 60 + now.getMinutes());
+  const justPassed = (hhmm) => {
+    const t = ofDay(toMinutes(hhmm));
+    return minute >= t && minute - t < REMINDER_GRACE_MIN;
+  };
+
+  const due = [];
+  categories.forEach(cat => {
+    const win = cat.reminder;
+    if (!win?.start || !win?.end || loggedToday.has(cat.id) || sent.has(cat.id)) return;
+    if (!justPassed(win.end)) return;
+    due.push({
+      id:    cat.id,
+      title: `${cat.emoji} ${cat.label}`,
+      body:  `Nothing logged between ${win.start} and ${win.end} — still time today.`,
+    });
+  });
+
+  if (prefs.summaryTime && !sent.has(SUMMARY_ID) && justPassed(prefs.summaryTime)) {
+    const dark = categories.filter(c => !loggedToday.has(c.id));
+    if (dark.length) {
+      due.push({
+        id:    SUMMARY_ID,
+        title: `${dark.length} of ${categories.length} slices still dark`,
+        body:  dark.map(c => c.label.split("/")[0]).join(", "),
+      });
+    }
+  }
+  return due;
+};
+
+export const notificationsSupported = () => typeof Notification !== "undefined";
+
+// Resolves to whether the notification was shown. The Notification
+// constructor throws where only the service worker may notify (Android
+// Chrome), and the worker's call can reject; both just count as not shown.
+export const showNotification = async (title, options) => {
+  if (!notificationsSupported() || Notification.permission !== "granted") return false;
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration?.();
+    if (reg) await reg.showNotification(title, options);
+    else new Notification(title, options);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Runs the reminder check every minute and whenever the app becomes visible.
+// `getState` returns { categories, loggedToday, settings, sent, today } at
+// call time; `onSent(today, ids)` records what was actually shown.
+export function useReminders(getState, onSent) {
+  const latest = useRef({ getState, onSent });
+  useEffect(() => { latest.current = { getState, onSent }; });
+
+  useEffect(() => {
+    const check = () => {
+      const { getState: get, onSent: record } = latest.current;
+      const state = get();
+      if (!state) return;
+      const due = dueReminders({ now: new Date(), ...state });
+      if (!due.length) return;
+      due.forEach(r => {
+        showNotification(r.title, { body: r.body, tag: `ritual-${state.today}-${r.id}`, icon: "/icons/icon-192x192.png" })
+          .then(shown => { if (shown) record(state.today, [r.id]); });
+      });
+    };
+    const onVisible = () => { if (document.visibilityState === "visible") check(); };
+    const timer = setInterval(check, 60 * 1000);
+    document.addEventListener("visibilitychange", onVisible);
+    check();
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, []);
+}
@@ -0,0 +1,434 @@
+// ─── STORAGE ─────────────────────────────────────────────────────────────────
+// Persistence for logs and configuration, behind one small async interface:
+//
+//   const store = await openStorage();
+//   const { logs, config } = await store.load();
+//   await store.writeEntries({ "2026-10-19": { "body:run": 1760…, "mind:read": null } });
+//   await store.replaceLogs(logs);
+//   await store.setConfig("settings", {...});
+//   const cleared = await store.clearConfigIf("timer", t => t?.id === id);
+//   const unsubscribe = store.subscribe(change => ...);
+//
+// The primary backend is IndexedDB with one record per day, so a tap rewrites
+// a single small record instead of re-serialising the entire history. When
+// IndexedDB is unavailable (old WebViews, some private modes) the same
+// interface is served from localStorage using the original `ritual_*` keys.
+//
+// Several tabs or PWA windows may have the app open at once. Log writes are
+// per entry and merged into whatever is stored at that moment, so one tab
+// never clobbers another's entries with a stale copy of the day. Every
+// committed change is announced to the other instances — over a
+// BroadcastChannel for IndexedDB, through the `storage` event for the
+// localStorage fallback — and delivered to `subscribe` listeners as
+// { type: "entries", patches } or { type: "config", key, value }.
+//
+// This module only moves bytes: the shape of log keys and entries, and the
+// data-level schema upgrades, belong to App (see upgradeData there). App may
+// pass `openStorage(id, { mergeEntry })` to combine a written entry with the
+// stored one instead of replacing it (see mergeEntry there). Config
+// keys are "categories", "orbitals", "settings", "lastOpenedDate",
+// "schemaVersion", "remindersSent", "syncState", "timer" and "skips".
+//
+// Each local profile gets its own database, channel and localStorage keys.
+// The default profile keeps the original, unsuffixed names so data from
+// before profiles existed is simply the default profile's.
+
+export const DEFAULT_PROFILE = "default";
+
+const DB_NAME      = "ritual";
+const CHANNEL_NAME = "ritual-sync";
+const PROFILES_KEY = "ritual_profiles";
+
+const dbName      = (profileId) => profileId === DEFAULT_PROFILE ? DB_NAME : `${DB_NAME}-${profileId}`;
+const channelName = (profileId) => profileId === DEFAULT_PROFILE ? CHANNEL_NAME : `${CHANNEL_NAME}-${profileId}`;
+
+// Structural IndexedDB migrations. Entry i upgrades the database from
+// version i to i + 1; the database version is MIGRATIONS.length.
+const MIGRATIONS = [
+  // 0 → 1: day records keyed by date, plus a key/value config store.
+  (db) => {
+    db.createObjectStore("days", { keyPath: "date" });
+    db.createObjectStore("config");
+  },
+];
+
+// localStorage keys used by the fallback backend and by builds that predate
+// IndexedDB; the latter are imported once and then removed.
+const LEGACY_KEYS = {
+  logs:           "ritual_logs",
+  categories:     "ritual_categories",
+  orbitals:       "ritual_orbitals",
+  settings:       "ritual_settings",
+  lastOpenedDate: "ritual_last_opened_date",
+  schemaVersion:  "ritual_schema_version",
+  remindersSent:  "ritual_reminders_sent",
+  syncState:      "ritual_sync_state",
+  timer:          "ritual_timer",
+  skips:          "ritual_skips",
+};
+
+const CONFIG_KEYS = Object.keys(LEGACY_KEYS).filter(k => k !== "logs");
+
+const legacyKey = (key, profileId) =>
+  profileId === DEFAULT_PROFILE ? LEGACY_KEYS[key] : LEGACY_KEYS[key].replace(/^ritual_/, `ritual_${profileId}_`);
+
+const readLegacy = (key, profileId = DEFAULT_PROFILE) => {
+  const raw = localStorage.getItem(legacyKey(key, profileId));
+  if (raw === null) return undefined;
+  if (key === "lastOpenedDate") return raw;
+  if (key === "schemaVersion")  return Number(raw) || undefined;
+  try { return JSON.parse(raw); } catch { return undefined; }
+};
+
+const writeLegacy = (key, value, profileId = DEFAULT_PROFILE) => {
+  const name = legacyKey(key, profileId);
+  if (value === undefined || value === null) localStorage.removeItem(name);
+  else if (typeof value === "string" || typeof value === "number") localStorage.setItem(name, String(value));
+  else localStorage.setItem(name, JSON.stringify(value));
+};
+
+// Entry-level patches between two logs objects: { date: { key: value } },
+// with null for removed entries. Log updates are immutable, so an untouched
+// day keeps its object identity and is skipped without looking inside.
+export const diffEntries = (prev, next) => {
+  const patches = {};
+  new Set([...Object.keys(prev), ...Object.keys(next)]).forEach(date => {
+    const a = prev[date] || {}, b = next[date] || {};
+    if (a === b) return;
+    const patch = {};
+    Object.keys(b).forEach(key => { if (!sameValue(a[key], b[key])) patch[key] = b[key]; });
+    Object.keys(a).forEach(key => { if (!(key in b)) patch[key] = null; });
+    if (Object.keys(patch).length) patches[date] = patch;
+  });
+  return patches;
+};
+
+// Applies diffEntries output to a logs object, returning a new one. Days
+// left without entries are dropped. Untouched days keep their identity.
+// `merge(current, incoming)` decides each written value; by default the
+// incoming one wins.
+const replaceEntry = (_current, incoming) => incoming;
+
+export const applyEntries = (logs, patches, merge = replaceEntry) => {
+  const next = { ...logs };
+  Object.entries(patches).forEach(([date, patch]) => {
+    const day = applyPatch(next[date], patch, merge);
+    if (day) next[date] = day;
+    else delete next[date];
+  });
+  return next;
+};
+
+const applyPatch = (day, patch, merge = replaceEntry) => {
+  const next = { ...(day || {}) };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete next[key];
+    else next[key] = merge(next[key], value);
+  });
+  return Object.keys(next).length ? next : null;
+};
+
+// Entries and config values are small JSON values, so comparing their
+// serialisations is enough.
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Listener registry shared by both backends.
+function createEmitter() {
+  const listeners = new Set();
+  return {
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    emit(change) { listeners.forEach(fn => fn(change)); },
+  };
+}
+
+// ─── INDEXEDDB BACKEND ───────────────────────────────────────────────────────
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror   = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror    = () => reject(tx.error);
+  tx.onabort    = () => reject(tx.error || new Error("Transaction aborted"));
+});
+
+// An upgrade stays blocked while another tab holds the old version open.
+// It's given BLOCKED_WAIT_MS for that tab to close; a connection that only
+// opens after giving up is closed again so it can't block anyone else.
+const BLOCKED_WAIT_MS = 5000;
+
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  let gaveUp = false, timer = null;
+  const req = indexedDB.open(name, MIGRATIONS.length);
+  req.onupgradeneeded = (e) => {
+    for (let v = e.oldVersion; v < MIGRATIONS.length; v++) MIGRATIONS[v](req.result, req.transaction);
+  };
+  req.onsuccess = () => {
+    clearTimeout(timer);
+    if (gaveUp) req.result.close();
+    else resolve(req.result);
+  };
+  req.onerror   = () => { clearTimeout(timer); reject(req.error); };
+  req.onblocked = () => {
+    timer = setTimeout(() => {
+      gaveUp = true;
+      reject(new Error("The app is open in another tab with an older version. Close it and reload."));
+    }, BLOCKED_WAIT_MS);
+  };
+});
+
+// One-time copy of the localStorage blobs into IndexedDB. The legacy keys are
+// removed only after the transaction commits, so a failed import is retried
+// on the next launch with nothing lost.
+async function importLegacy(db) {
+  if (await request(db.transaction("config").objectStore("config").get("legacyImported"))) return;
+
+  const tx     = db.transaction(["days", "config"], "readwrite");
+  const days   = tx.objectStore("days");
+  const config = tx.objectStore("config");
+  const logs   = readLegacy("logs") || {};
+  Object.entries(logs).forEach(([date, entries]) => days.put({ date, entries }));
+  CONFIG_KEYS.forEach(key => {
+    const value = readLegacy(key);
+    if (value !== undefined) config.put(value, key);
+  });
+  config.put(true, "legacyImported");
+  await transactionDone(tx);
+
+  Object.values(LEGACY_KEYS).forEach(k => localStorage.removeItem(k));
+}
+
+// Config values are remembered as last loaded, written or received, so that
+// echoing a synced value back (App persists state whenever it changes) is a
+// no-op instead of a broadcast loop between tabs.
+function indexedDbBackend(db, profileId, mergeEntry) {
+  const emitter = createEmitter();
+  const known   = {};
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(channelName(profileId)) : null;
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data?.type === "config") known[data.key] = data.value;
+      emitter.emit(data);
+    };
+  }
+  const announce = (change) => channel?.postMessage(change);
+
+  return {
+    kind: "indexeddb",
+    subscribe: emitter.subscribe,
+
+    async load() {
+      const tx     = db.transaction(["days", "config"]);
+      const config = tx.objectStore("config");
+      const [records, keys, values] = await Promise.all([
+        request(tx.objectStore("days").getAll()),
+        request(config.getAllKeys()),
+        request(config.getAll()),
+      ]);
+      const logs = {};
+      records.forEach(r => { logs[r.date] = r.entries; });
+      const cfg = {};
+      keys.forEach((k, i) => { cfg[k] = values[i]; });
+      Object.assign(known, cfg);
+      return { logs, config: cfg };
+    },
+
+    // Each day is read and rewritten inside one readwrite transaction, which
+    // IndexedDB serialises against other tabs' writes to the same store.
+    async writeEntries(patches) {
+      const dates = Object.keys(patches);
+      if (!dates.length) return;
+      const tx   = db.transaction("days", "readwrite");
+      const days = tx.objectStore("days");
+      dates.forEach(date => {
+        days.get(date).onsuccess = (e) => {
+          const entries = applyPatch(e.target.result?.entries, patches[date], mergeEntry);
+          if (entries) days.put({ date, entries });
+          else days.delete(date);
+        };
+      });
+      await transactionDone(tx);
+      announce({ type: "entries", patches });
+    },
+
+    async replaceLogs(logs) {
+      const tx   = db.transaction("days", "readwrite");
+      const days = tx.objectStore("days");
+      days.clear();
+      Object.entries(logs).forEach(([date, entries]) => days.put({ date, entries }));
+      await transactionDone(tx);
+    },
+
+    async setConfig(key, value) {
+      if (key in known && sameValue(known[key], value)) return;
+      known[key] = value;
+      const tx = db.transaction("config", "readwrite");
+      tx.objectStore("config").put(value, key);
+      await transactionDone(tx);
+      announce({ type: "config", key, value });
+    },
+
+    // Removes `key` if its stored value passes `test`, read and deleted in
+    // one transaction; resolves true only in the one tab that removed it.
+    async clearConfigIf(key, test) {
+      const tx    = db.transaction("config", "readwrite");
+      const store = tx.objectStore("config");
+      let cleared = false;
+      store.get(key).onsuccess = (e) => {
+        if (!test(e.target.result)) return;
+        store.delete(key);
+        cleared = true;
+      };
+      await transactionDone(tx);
+      if (cleared) {
+        delete known[key];
+        announce({ type: "config", key, value: null });
+      }
+      return cleared;
+    },
+
+    close() {
+      channel?.close();
+      db.close();
+    },
+  };
+}
+
+// ─── LOCALSTORAGE BACKEND ────────────────────────────────────────────────────
+// Logs stay a single JSON blob here, as they were before IndexedDB. Writes
+// re-read the blob first so another tab's entries are merged, not replaced.
+// The browser fires `storage` in every other tab on change; the backend
+// keeps its last-seen copy of the logs to turn that into entry patches.
+function localStorageBackend(profileId, mergeEntry) {
+  const emitter = createEmitter();
+  const read    = (key) => readLegacy(key, profileId);
+  const write   = (key, value) => writeLegacy(key, value, profileId);
+  let logs = read("logs") || {};
+
+  const onStorage = (e) => {
+    if (e.storageArea !== localStorage) return;
+    if (e.key === legacyKey("logs", profileId)) {
+      const next    = read("logs") || {};
+      const patches = diffEntries(logs, next);
+      logs = next;
+      if (Object.keys(patches).length) emitter.emit({ type: "entries", patches });
+      return;
+    }
+    const key = CONFIG_KEYS.find(k => legacyKey(k, profileId) === e.key);
+    if (key) emitter.emit({ type: "config", key, value: read(key) });
+  };
+  window.addEventListener("storage", onStorage);
+
+  return {
+    kind: "localstorage",
+    subscribe: emitter.subscribe,
+
+    async load() {
+      const config = {};
+      CONFIG_KEYS.forEach(key => {
+        const value = read(key);
+        if (value !== undefined) config[key] = value;
+      });
+      return { logs, config };
+    },
+
+    async writeEntries(patches) {
+      if (!Object.keys(patches).length) return;
+      logs = applyEntries(read("logs") || {}, patches, mergeEntry);
+      write("logs", logs);
+    },
+
+    async replaceLogs(next) {
+      logs = next;
+      write("logs", logs);
+    },
+
+    async setConfig(key, value) {
+      if (sameValue(read(key), value)) return;
+      write(key, value);
+    },
+
+    async clearConfigIf(key, test) {
+      if (!test(read(key))) return false;
+      write(key, null);
+      return true;
+    },
+
+    close() {
+      window.removeEventListener("storage", onStorage);
+    },
+  };
+}
+
+// Whether this profile's data already lives in IndexedDB: marked on every
+// successful open. Data stored before the mark existed is recognised by its
+// database being there while the localStorage logs are gone (imported).
+const idbMarker = (profileId) => profileId === DEFAULT_PROFILE ? "ritual_idb" : `ritual_${profileId}_idb`;
+
+const usesIndexedDb = async (profileId) => {
+  if (localStorage.getItem(idbMarker(profileId))) return true;
+  if (readLegacy("logs", profileId) !== undefined) return false;
+  try {
+    const list = await indexedDB.databases?.();
+    return !!list?.some(d => d.name === dbName(profileId));
+  } catch {
+    return false;
+  }
+};
+
+// Opens a profile's IndexedDB (running structural migrations and, for the
+// default profile, the legacy import). Where IndexedDB doesn't work and never
+// has for this profile, localStorage serves instead. Once the data is in
+// IndexedDB a failure is thrown rather than quietly opening an empty
+// localStorage store next to it. Call close() on the result before opening
+// it again.
+export async function openStorage(profileId = DEFAULT_PROFILE, { mergeEntry } = {}) {
+  if (typeof indexedDB === "undefined") return localStorageBackend(profileId, mergeEntry);
+  let db = null;
+  try {
+    db = await openDatabase(dbName(profileId));
+    if (profileId === DEFAULT_PROFILE) await importLegacy(db);
+    localStorage.setItem(idbMarker(profileId), "1");
+    return indexedDbBackend(db, profileId, mergeEntry);
+  } catch (err) {
+    db?.close();
+    if (await usesIndexedDb(profileId)) throw err;
+    return localStorageBackend(profileId, mergeEntry);
+  }
+}
+
+// ─── PROFILES ────────────────────────────────────────────────────────────────
+// The profile list lives outside every profile's storage, in one small
+// localStorage record: { active, profiles: [{ id, name }] }. The default
+// profile is always present and cannot be deleted.
+export const loadProfiles = () => {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(PROFILES_KEY)); } catch { saved = null; }
+  const profiles = Array.isArray(saved?.profiles) ? saved.profiles.filter(p => p?.id && typeof p.name === "string") : [];
+  if (!profiles.some(p => p.id === DEFAULT_PROFILE)) profiles.unshift({ id: DEFAULT_PROFILE, name: "Me" });
+  const active = profiles.some(p => p.id === saved?.active) ? saved.active : DEFAULT_PROFILE;
+  return { active, profiles };
+};
+
+export const saveProfiles = (registry) => {
+  try { localStorage.setItem(PROFILES_KEY, JSON.stringify(registry)); } catch { /* quota — keep in memory */ }
+};
+
+// Removes everything stored for a profile: its database and any
+// localStorage-fallback keys.
+export async function deleteProfileData(profileId) {
+  if (profileId === DEFAULT_PROFILE) throw new Error("The default profile cannot be deleted");
+  Object.keys(LEGACY_KEYS).forEach(key => localStorage.removeItem(legacyKey(key, profileId)));
+  localStorage.removeItem(idbMarker(profileId));
+  if (typeof indexedDB === "undefined") return;
+  await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(dbName(profileId));
+    req.onsuccess = () => resolve();
+    req.onerror   = () => reject(req.error);
+    req.onblocked = () => resolve();
+  });
+}
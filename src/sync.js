@@ -0,0 +1,132 @@
+// ─── SYNC CLIENT ─────────────────────────────────────────────────────────────
+// Optional sync with a self-hosted server (reference implementation in
+// server/sync-server.js, which also documents the protocol). One POST both
+// pushes local changes and pulls everything newer than the client's cursor.
+//
+// Local edits are queued in an outbox keyed by entry, each stamped with the
+// time it was made; the server keeps whichever version of an entry is newest.
+// Different entries never conflict, so two devices logging different
+// orbitals on the same day simply merge. Two devices adding to the same
+// entry each keep their own share of it: App combines pulled entries with
+// its copy (mergeEntry there) and queues the result back up whenever its
+// copy held shares the server's didn't, so both sides converge. Deletions
+// travel as `value: null`. Categories, orbitals and skip marks ride along as
+// whole documents in the "__config" scope, queued only on explicit edits
+// (save, import, a skip toggled).
+//
+// Sync state — { cursor, outbox, lastSyncAt, lastError } — is plain data so
+// App can persist it through the storage layer like any other config. Every
+// open tab queues into it, so tabs merge each other's copies (mergeSyncStates)
+// and only one tab at a time runs a round.
+
+export const CONFIG_SCOPE = "__config";
+export const SYNCED_CONFIG_KEYS = ["categories", "orbitals", "skips"];
+
+const outboxId = (scope, key) => `${scope}|${key}`;
+
+export const createSyncState = () => ({ cursor: null, outbox: {}, lastSyncAt: null, lastError: null });
+
+// Adds entry patches (storage.diffEntries output) to the outbox.
+export const queueLogPatches = (state, patches, now = Date.now()) => {
+  const outbox = { ...state.outbox };
+  Object.entries(patches).forEach(([date, patch]) => {
+    Object.entries(patch).forEach(([key, value]) => {
+      outbox[outboxId(date, key)] = { scope: date, key, value, updatedAt: now };
+    });
+  });
+  return { ...state, outbox };
+};
+
+export const queueConfig = (state, key, value, now = Date.now()) => ({
+  ...state,
+  outbox: { ...state.outbox, [outboxId(CONFIG_SCOPE, key)]: { scope: CONFIG_SCOPE, key, value, updatedAt: now } },
+});
+
+// First sync from a device: every local entry goes up, stamped as edited
+// now, since the entries' own times say nothing about when they changed.
+export const queueAllLogs = (state, logs, now = Date.now()) => {
+  const outbox = { ...state.outbox };
+  Object.entries(logs).forEach(([date, entries]) => {
+    Object.entries(entries).forEach(([key, value]) => {
+      const id = outboxId(date, key);
+      if (!outbox[id]) outbox[id] = { scope: date, key, value, updatedAt: now };
+    });
+  });
+  return { ...state, outbox };
+};
+
+// Splits pulled changes into entry patches and config documents. Changes to
+// entries with a newer edit still waiting in `outbox` are skipped; that edit
+// goes up on the next round and the server will keep it.
+export const splitRemoteChanges = (changes, outbox = {}) => {
+  const patches = {}, config = {};
+  changes.forEach(({ scope, key, value, updatedAt }) => {
+    const pending = outbox[outboxId(scope, key)];
+    if (pending && pending.updatedAt > updatedAt) return;
+    if (scope === CONFIG_SCOPE) {
+      if (SYNCED_CONFIG_KEYS.includes(key) && value !== null) config[key] = value;
+      return;
+    }
+    if (!patches[scope]) patches[scope] = {};
+    patches[scope][key] = value;
+  });
+  return { patches, config };
+};
+
+// Runs `fn` unless another tab of this origin already holds the `name` lock,
+// so two tabs never push the same outbox at once. Without Web Locks every
+// tab just runs.
+export const withTabLock = (name, fn) =>
+  navigator.locks?.request
+    ? navigator.locks.request(name, { ifAvailable: true }, lock => lock ? fn() : undefined)
+    : fn();
+
+// One push/pull round. Resolves to { sent, cursor, changes }; hand it to
+// settleSync, since the outbox may have grown while the request was out.
+export async function syncOnce(url, state, { token } = {}) {
+  const sent = Object.values(state.outbox);
+  const res  = await fetch(`${url.replace(/\/+$/, "")}/sync`, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body:    JSON.stringify({ cursor: state.cursor, changes: sent }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw new Error(body?.error || `Server responded ${res.status}`);
+  }
+  const body = await res.json();
+  if (!Array.isArray(body?.changes)) throw new Error("Unexpected server response");
+  return { sent, cursor: body.cursor, changes: body.changes };
+}
+
+// Folds a finished round into the current state: the cursor advances and
+// the outbox items that were sent are dropped — anything re-queued with a
+// newer edit while the request was in flight stays for the next round.
+// Items are matched by `updatedAt`, not identity, since the state may have
+// been through storage or another tab meanwhile.
+export const settleSync = (state, { sent, cursor }, now = Date.now()) => {
+  const outbox = { ...state.outbox };
+  sent.forEach(item => {
+    const id = outboxId(item.scope, item.key);
+    if (outbox[id]?.updatedAt <= item.updatedAt) delete outbox[id];
+  });
+  return { ...state, outbox, cursor, lastSyncAt: now, lastError: null };
+};
+
+// Folds another tab's copy of the sync state into ours. Entries queued on
+// both sides keep the newer edit. An entry only we hold is kept unless the
+// other tab has synced since it was queued — then it went up in that round.
+// Cursor and status follow whichever copy synced last.
+export const mergeSyncStates = (local, remote) => {
+  const remoteNewer = (remote.lastSyncAt || 0) > (local.lastSyncAt || 0);
+  const outbox = { ...remote.outbox };
+  Object.entries(local.outbox).forEach(([id, item]) => {
+    const theirs = outbox[id];
+    if (theirs ? item.updatedAt > theirs.updatedAt : !remoteNewer || item.updatedAt > remote.lastSyncAt) {
+      outbox[id] = item;
+    }
+  });
+  return { ...(remoteNewer ? remote : local), outbox };
+};
+
+export const pendingCount = (state) => Object.keys(state.outbox).length;
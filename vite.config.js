@@ -1,7 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Web manifest + Workbox service worker. The whole build — JS, CSS and the
+    // self-hosted Space Mono files — is precached so the app opens offline
+    // from the home screen. `prompt` keeps a new worker waiting until the user
+    // accepts the in-app "update available" banner.
+    VitePWA({
+      registerType: 'prompt',
+      manifestFilename: 'manifest.json',
+      manifest: {
+        name: 'RITUAL',
+        short_name: 'RITUAL',
+        description: 'Daily ritual tracker — one ring, every area of life.',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        orientation: 'portrait',
+        background_color: '#080812',
+        theme_color: '#080812',
+        icons: [
+          { src: '/icons/icon-96x96.png',      sizes: '96x96',   type: 'image/png' },
+          { src: '/icons/icon-192x192.png',    sizes: '192x192', type: 'image/png' },
+          { src: '/icons/icon-512x512.png',    sizes: '512x512', type: 'image/png' },
+          { src: '/icons/maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        // Manifest icons are added to the precache by the plugin itself.
+        globPatterns: ['**/*.{js,css,html,woff,woff2}'],
+        maximumFileSizeToCacheInBytes: 3 * 1024 * 1024,
+      },
+    }),
+  ],
 })